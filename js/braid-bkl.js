@@ -0,0 +1,343 @@
+/**
+ * Birman–Ko–Lee Normal Form - Garside theory with band generators
+ *
+ * The classical normal form writes braids with Artin generators σᵢ, which
+ * only cross neighbouring strands. The BKL (dual) presentation uses a band
+ * generator aₜₛ for every pair of strands, so a crossing between any two
+ * dogs is one letter. Its Garside element is δ = aₙ,ₙ₋₁…a₂₁ = σₙ₋₁…σ₁,
+ * and its simple elements are the non-crossing partitions of the strands:
+ * Catalan-many instead of n!, with canonical lengths that are often shorter.
+ */
+
+(function() {
+    'use strict';
+
+    // In Node the braid classes come from braid.js; in the browser they are globals
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { BandGenerator, BraidWord, toSuperscript } = isNode ? require('./braid.js') : window;
+
+    /**
+     * Permutation helpers: perm[i] = final position of the strand starting at i
+     */
+    const Permutation = {
+        // First one, then the other
+        compose: (first, second) => first.map(p => second[p]),
+        inverse: (perm) => {
+            const inverse = new Array(perm.length);
+            perm.forEach((p, i) => { inverse[p] = i; });
+            return inverse;
+        }
+    };
+
+    /**
+     * A simple element of the dual Garside structure (a divisor of δ)
+     *
+     * Stored as a non-crossing partition of the strand positions (0-based).
+     * A block {p₁ > p₂ > … > pₖ} is the descending cycle a(p₁,p₂)·a(p₂,p₃)…,
+     * blocks commute, and the braid is determined by the permutation it
+     * induces. Prefix order is refinement of partitions, so the meet of two
+     * simple elements is their common refinement.
+     */
+    class DualSimple {
+        /**
+         * @param {number} numStrands
+         * @param {number[][]} blocks - Blocks with at least two positions
+         */
+        constructor(numStrands, blocks) {
+            this.numStrands = numStrands;
+            this.blocks = blocks
+                .map(block => [...block].sort((a, b) => b - a))
+                .sort((a, b) => b[0] - a[0]);
+            this.permCache = null;
+        }
+
+        static identity(numStrands) {
+            return new DualSimple(numStrands, []);
+        }
+
+        /**
+         * δ: every strand in one block
+         */
+        static delta(numStrands) {
+            return new DualSimple(numStrands, [Array.from({ length: numStrands }, (_, i) => i)]);
+        }
+
+        /**
+         * The band generator aₜₛ (1-based positions t > s)
+         */
+        static band(top, bottom, numStrands) {
+            return new DualSimple(numStrands, [[top - 1, bottom - 1]]);
+        }
+
+        /**
+         * The simple element inducing a permutation (its cycles are the blocks)
+         */
+        static fromPermutation(perm) {
+            const seen = new Array(perm.length).fill(false);
+            const blocks = [];
+            for (let i = 0; i < perm.length; i++) {
+                if (seen[i] || perm[i] === i) continue;
+                const block = [];
+                for (let j = i; !seen[j]; j = perm[j]) {
+                    seen[j] = true;
+                    block.push(j);
+                }
+                blocks.push(block);
+            }
+            return new DualSimple(perm.length, blocks);
+        }
+
+        get perm() {
+            if (!this.permCache) {
+                // Each band swaps the strands at its two positions
+                const order = Array.from({ length: this.numStrands }, (_, i) => i);
+                for (const block of this.blocks) {
+                    for (let j = 0; j + 1 < block.length; j++) {
+                        [order[block[j]], order[block[j + 1]]] = [order[block[j + 1]], order[block[j]]];
+                    }
+                }
+                this.permCache = Permutation.inverse(order);
+            }
+            return this.permCache;
+        }
+
+        get isIdentity() {
+            return this.blocks.length === 0;
+        }
+
+        get isDelta() {
+            return this.blocks.length === 1 && this.blocks[0].length === this.numStrands;
+        }
+
+        /**
+         * Number of band generators
+         */
+        get length() {
+            return this.blocks.reduce((sum, block) => sum + block.length - 1, 0);
+        }
+
+        /**
+         * this·other (the caller ensures the product is simple)
+         */
+        then(other) {
+            return DualSimple.fromPermutation(Permutation.compose(this.perm, other.perm));
+        }
+
+        /**
+         * this⁻¹·other (the caller ensures this ≼ other)
+         */
+        leftDivide(other) {
+            return DualSimple.fromPermutation(Permutation.compose(Permutation.inverse(this.perm), other.perm));
+        }
+
+        /**
+         * ∂x = x⁻¹·δ
+         */
+        rightComplement() {
+            return this.leftDivide(DualSimple.delta(this.numStrands));
+        }
+
+        /**
+         * δ·x⁻¹, the simple element with (δ·x⁻¹)·x = δ
+         */
+        leftComplement() {
+            const delta = DualSimple.delta(this.numStrands);
+            return DualSimple.fromPermutation(Permutation.compose(delta.perm, Permutation.inverse(this.perm)));
+        }
+
+        /**
+         * δ·x·δ⁻¹ (rotates the partition one step)
+         */
+        deltaConjugate() {
+            const delta = DualSimple.delta(this.numStrands).perm;
+            const perm = Permutation.compose(Permutation.compose(delta, this.perm), Permutation.inverse(delta));
+            return DualSimple.fromPermutation(perm);
+        }
+
+        /**
+         * Greatest common prefix: the blocks' pairwise intersections
+         */
+        meet(other) {
+            const blocks = [];
+            for (const a of this.blocks) {
+                for (const b of other.blocks) {
+                    const common = a.filter(p => b.includes(p));
+                    if (common.length > 1) blocks.push(common);
+                }
+            }
+            return new DualSimple(this.numStrands, blocks);
+        }
+
+        equals(other) {
+            return this.key() === other.key();
+        }
+
+        key() {
+            return this.blocks.map(block => block.join('.')).join('|');
+        }
+
+        /**
+         * Expand into band generators
+         */
+        toBands(timestamp = 0) {
+            const bands = [];
+            for (const block of this.blocks) {
+                for (let j = 0; j + 1 < block.length; j++) {
+                    bands.push(new BandGenerator(block[j] + 1, block[j + 1] + 1, 1, timestamp));
+                }
+            }
+            return bands;
+        }
+
+        /**
+         * Make (a, b) left-weighted without changing a·b: a takes the largest
+         * prefix of b it can, ∂a ∧ b
+         */
+        static leftWeight(a, b) {
+            const moved = a.rightComplement().meet(b);
+            if (moved.isIdentity) return [a, b];
+            return [a.then(moved), moved.leftDivide(b)];
+        }
+    }
+
+    /**
+     * BKL left normal form δᵖ·A₁·…·Aᵣ: each Aᵢ a dual simple element other
+     * than e and δ, every pair (Aᵢ, Aᵢ₊₁) left-weighted. Equal braids have
+     * identical normal forms.
+     */
+    class BKLNormalForm {
+        constructor(numStrands, power, factors) {
+            this.numStrands = numStrands;
+            this.power = power;
+            this.factors = factors;
+        }
+
+        get inf() {
+            return this.power;
+        }
+
+        get sup() {
+            return this.power + this.factors.length;
+        }
+
+        get canonicalLength() {
+            return this.factors.length;
+        }
+
+        get isTrivial() {
+            return this.power === 0 && this.factors.length === 0;
+        }
+
+        /**
+         * Normal form of a word in band generators
+         * @param {BandGenerator[]} bands
+         * @param {number} numStrands
+         */
+        static fromBands(bands, numStrands) {
+            let factors = [];
+            let power = 0;
+
+            for (const band of bands) {
+                let simple = DualSimple.band(band.top, band.bottom, numStrands);
+                if (band.sign < 0) {
+                    // x·a⁻¹ = δ⁻¹·(δxδ⁻¹)·(δa⁻¹)
+                    simple = simple.leftComplement();
+                    factors = factors.map(f => f.deltaConjugate());
+                    power--;
+                }
+                BKLNormalForm.appendFactor(factors, simple);
+
+                // Leading δs join the power; only the last factor can be emptied
+                while (factors.length > 0 && factors[0].isDelta) {
+                    factors.shift();
+                    power++;
+                }
+                if (factors.length > 0 && factors[factors.length - 1].isIdentity) factors.pop();
+            }
+
+            return new BKLNormalForm(numStrands, power, factors);
+        }
+
+        /**
+         * Normal form of an Artin braid word (σᵢ = aᵢ₊₁,ᵢ)
+         */
+        static fromBraidWord(braidWord) {
+            return BKLNormalForm.fromBands(braidWord.toBandGenerators(), braidWord.numStrands);
+        }
+
+        /**
+         * Append a simple factor to a left-weighted list in place
+         */
+        static appendFactor(factors, simple) {
+            if (simple.isIdentity) return;
+            factors.push(simple);
+            for (let k = factors.length - 2; k >= 0; k--) {
+                const [left, right] = DualSimple.leftWeight(factors[k], factors[k + 1]);
+                if (left.equals(factors[k])) break;
+                factors[k] = left;
+                factors[k + 1] = right;
+            }
+        }
+
+        key() {
+            return this.power + ':' + this.factors.map(f => f.key()).join(',');
+        }
+
+        equals(other) {
+            return this.numStrands === other.numStrands && this.key() === other.key();
+        }
+
+        /**
+         * The canonical word in band generators
+         * @returns {BandGenerator[]}
+         */
+        toBands() {
+            const deltaBands = DualSimple.delta(this.numStrands).toBands();
+            const bands = [];
+
+            if (this.power >= 0) {
+                for (let k = 0; k < this.power; k++) bands.push(...deltaBands);
+            } else {
+                const inverseDelta = deltaBands.slice().reverse().map(b => b.inverse());
+                for (let k = 0; k < -this.power; k++) bands.push(...inverseDelta);
+            }
+
+            for (const factor of this.factors) {
+                bands.push(...factor.toBands());
+            }
+            return bands;
+        }
+
+        /**
+         * Expand back into Artin generators
+         */
+        toBraidWord() {
+            return BraidWord.fromBandGenerators(this.toBands(), this.numStrands);
+        }
+
+        /**
+         * e.g. "δ⁻¹·[a₃₁a₂₁]·[a₃₂]"
+         */
+        toString() {
+            if (this.isTrivial) return 'ε';
+
+            const parts = [];
+            if (this.power !== 0) {
+                parts.push(this.power === 1 ? 'δ' : 'δ' + toSuperscript(this.power));
+            }
+            for (const factor of this.factors) {
+                parts.push('[' + factor.toBands().map(b => b.toString()).join('') + ']');
+            }
+            return parts.join('·');
+        }
+    }
+
+    // Export
+    if (isNode) {
+        module.exports = { DualSimple, BKLNormalForm };
+    } else {
+        window.DualSimple = DualSimple;
+        window.BKLNormalForm = BKLNormalForm;
+    }
+
+})();
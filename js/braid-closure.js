@@ -0,0 +1,595 @@
+/**
+ * Braid Closure - Which knot or link do the closed-up leashes form?
+ *
+ * Joining the top of every strand to its bottom turns a braid into a knot
+ * or link. This module computes the classical invariants of that closure
+ * (components, Alexander and Jones polynomials, signature, determinant) and
+ * looks them up in a small table of knots and links, so a tangle can be
+ * labelled "Hopf link" or "trefoil ∪ unknot" instead of by its braid word.
+ *
+ * Table entries are stored as braids and their invariants are computed by
+ * the same code that computes the query's, so conventions always agree.
+ */
+
+(function() {
+    'use strict';
+
+    // In Node the braid classes come from braid.js; in the browser they are globals
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { Crossing, BraidWord, LaurentPolynomial, toSubscript } = isNode ? require('./braid.js') : window;
+    const { BraidConjugacy } = isNode ? require('./braid-conjugacy.js') : window;
+
+    /**
+     * Knots and links with a braid representative (integer notation)
+     *
+     * Knots are complete through eight crossings (Rolfsen numbering), plus
+     * two torus knots up to ten crossings and the granny and square knots;
+     * links are the common ones up to six crossings. Closures are oriented
+     * like the leashes: every strand runs the same way, which matters for
+     * links.
+     */
+    const KNOT_TABLE = [
+        { id: '0_1', name: 'unknot', braid: [] },
+        { id: '3_1', name: 'trefoil', braid: [1, 1, 1] },
+        { id: '4_1', name: 'figure-eight knot', braid: [1, -2, 1, -2] },
+        { id: '5_1', name: 'cinquefoil', braid: [1, 1, 1, 1, 1] },
+        { id: '5_2', name: 'three-twist knot', braid: [1, 1, 1, 2, -1, 2] },
+        { id: '6_1', name: 'stevedore knot', braid: [1, 1, 2, -1, -3, 2, -3] },
+        { id: '6_2', name: 'knot 6₂', braid: [1, 1, 1, -2, 1, -2] },
+        { id: '6_3', name: 'knot 6₃', braid: [1, 1, -2, 1, -2, -2] },
+        { id: '7_1', name: 'septafoil', braid: [1, 1, 1, 1, 1, 1, 1] },
+        { id: '7_2', name: 'knot 7₂', braid: [1, 1, 1, 2, -1, 2, 3, -2, 3] },
+        { id: '7_3', name: 'knot 7₃', braid: [1, 1, 1, 1, 1, 2, -1, 2] },
+        { id: '7_4', name: 'knot 7₄', braid: [1, 1, 2, -1, 2, 2, 3, -2, 3] },
+        { id: '7_5', name: 'knot 7₅', braid: [1, 1, 1, 1, 2, -1, 2, 2] },
+        { id: '7_6', name: 'knot 7₆', braid: [1, 1, -2, 1, 3, -2, 3] },
+        { id: '7_7', name: 'knot 7₇', braid: [1, -2, 1, -2, 3, -2, 3] },
+        { id: '8_1', name: 'knot 8₁', braid: [1, 1, 2, -1, 2, 3, -2, -4, 3, -4] },
+        { id: '8_2', name: 'knot 8₂', braid: [1, 1, 1, 1, 1, -2, 1, -2] },
+        { id: '8_3', name: 'knot 8₃', braid: [1, 1, 2, -1, -3, 2, -3, -4, 3, -4] },
+        { id: '8_4', name: 'knot 8₄', braid: [1, 1, 1, -2, 1, -2, -3, 2, -3] },
+        { id: '8_5', name: 'knot 8₅', braid: [1, 1, 1, -2, 1, 1, 1, -2] },
+        { id: '8_6', name: 'knot 8₆', braid: [1, 1, 1, 1, 2, -1, -3, 2, -3] },
+        { id: '8_7', name: 'knot 8₇', braid: [1, 1, 1, 1, -2, 1, -2, -2] },
+        { id: '8_8', name: 'knot 8₈', braid: [1, 1, 1, 2, -1, -3, 2, -3, -3] },
+        { id: '8_9', name: 'knot 8₉', braid: [1, 1, 1, -2, 1, -2, -2, -2] },
+        { id: '8_10', name: 'knot 8₁₀', braid: [1, 1, 1, -2, 1, 1, -2, -2] },
+        { id: '8_11', name: 'knot 8₁₁', braid: [1, 1, 2, -1, 2, 2, -3, 2, -3] },
+        { id: '8_12', name: 'knot 8₁₂', braid: [1, -2, 1, 3, -2, -4, 3, -4] },
+        { id: '8_13', name: 'knot 8₁₃', braid: [1, 1, 2, -1, 2, -3, 2, -3, -3] },
+        { id: '8_14', name: 'knot 8₁₄', braid: [1, 1, 1, 2, -1, 2, -3, 2, -3] },
+        { id: '8_15', name: 'knot 8₁₅', braid: [1, 1, -2, 1, 3, 2, 2, 2, 3] },
+        { id: '8_16', name: 'knot 8₁₆', braid: [1, 1, -2, 1, 1, -2, 1, -2] },
+        { id: '8_17', name: 'knot 8₁₇', braid: [1, 1, -2, 1, -2, 1, -2, -2] },
+        { id: '8_18', name: 'knot 8₁₈', braid: [1, -2, 1, -2, 1, -2, 1, -2] },
+        { id: '8_19', name: 'torus knot T(3,4)', braid: [1, 2, 1, 2, 1, 2, 1, 2] },
+        { id: '8_20', name: 'knot 8₂₀', braid: [1, 1, 1, -2, -1, -1, -1, -2] },
+        { id: '8_21', name: 'knot 8₂₁', braid: [1, 1, 1, 2, -1, -1, 2, 2] },
+        { id: '9_1', name: 'torus knot T(2,9)', braid: [1, 1, 1, 1, 1, 1, 1, 1, 1] },
+        { id: '10_124', name: 'torus knot T(3,5)', braid: [1, 2, 1, 2, 1, 2, 1, 2, 1, 2] },
+        { id: '3_1#3_1', name: 'granny knot', braid: [1, 1, 1, 2, 2, 2] },
+        { id: '3_1#3_1*', name: 'square knot', braid: [1, 1, 1, -2, -2, -2] },
+        { id: 'L2a1', name: 'Hopf link', braid: [1, 1] },
+        { id: 'L4a1', name: 'Solomon link', braid: [1, 1, 1, 1] },
+        { id: 'L5a1', name: 'Whitehead link', braid: [1, 1, -2, 1, -2] },
+        { id: 'L6a3', name: 'torus link T(2,6)', braid: [1, 1, 1, 1, 1, 1] },
+        { id: 'L2a1#L2a1', name: 'chain of three rings', braid: [1, 1, 2, 2] },
+        { id: 'L6a4', name: 'Borromean rings', braid: [1, -2, 1, -2, 1, -2] },
+        { id: 'L6n1', name: 'torus link T(3,3)', braid: [1, 2, 1, 2, 1, 2] }
+    ];
+
+    class BraidClosure {
+        /**
+         * Invariants of the closure
+         * @param {BraidWord} braidWord
+         * @returns {{components: number, alexander: LaurentPolynomial, jones: LaurentPolynomial,
+         *            signature: number, determinant: number}}
+         *          jones is in t^(1/2), as from BraidWord.jonesPolynomial()
+         */
+        static invariants(braidWord) {
+            const alexander = braidWord.alexanderPolynomial();
+            return {
+                components: braidWord.closureComponents,
+                alexander,
+                jones: braidWord.jonesPolynomial(),
+                signature: BraidClosure.signature(braidWord),
+                determinant: Math.abs(Number(BraidClosure.evaluate(alexander, -1n)))
+            };
+        }
+
+        /**
+         * Symmetrized Seifert form V + Vᵀ of the braid's Seifert surface
+         *
+         * The surface is a disk per strand joined by a twisted band per
+         * crossing. Its first homology is spanned by the loops through two
+         * consecutive bands on the same generator; the form pairs a loop with
+         * itself, its neighbours on that generator, and the loops it
+         * interleaves with on the generators either side.
+         * @returns {bigint[][]}
+         */
+        static seifertForm(braidWord) {
+            const occurrences = Array.from({ length: braidWord.numStrands }, () => []);
+            braidWord.crossings.forEach((c, time) => {
+                occurrences[c.generator].push({ time, sign: c.sign });
+            });
+
+            const loops = [];
+            occurrences.forEach((bands, generator) => {
+                for (let k = 0; k + 1 < bands.length; k++) {
+                    loops.push({ generator, index: k, first: bands[k], second: bands[k + 1] });
+                }
+            });
+
+            return loops.map(p => loops.map(q => {
+                if (p === q) return BigInt(-(p.first.sign + p.second.sign));
+                if (p.generator === q.generator) {
+                    // Neighbouring loops share one band
+                    if (Math.abs(p.index - q.index) !== 1) return 0n;
+                    return BigInt(p.index < q.index ? p.second.sign : p.first.sign);
+                }
+                if (Math.abs(p.generator - q.generator) !== 1) return 0n;
+
+                // Loops either side of a disk link when their bands interleave on it
+                const [lower, upper] = p.generator < q.generator ? [p, q] : [q, p];
+                const [l1, l2, u1, u2] = [lower.first.time, lower.second.time, upper.first.time, upper.second.time];
+                if (l1 < u1 && u1 < l2 && l2 < u2) return 1n;
+                if (u1 < l1 && l1 < u2 && u2 < l2) return -1n;
+                return 0n;
+            }));
+        }
+
+        /**
+         * Signature of the closure, the signature of V + Vᵀ (positive braids
+         * give negative signatures: the trefoil σ₁³ has signature -2)
+         */
+        static signature(braidWord) {
+            return BraidClosure.formSignature(BraidClosure.seifertForm(braidWord));
+        }
+
+        /**
+         * Signature of a symmetric integer matrix, by fraction-free symmetric
+         * elimination: the k-th pivot is the ratio of consecutive leading
+         * minors, so each step adds the sign of their product. When no
+         * diagonal pivot is left, adding row and column j to i makes one.
+         */
+        static formSignature(matrix) {
+            const m = matrix.map(row => [...row]);
+            const size = m.length;
+            const swap = (i, j) => {
+                [m[i], m[j]] = [m[j], m[i]];
+                for (const row of m) [row[i], row[j]] = [row[j], row[i]];
+            };
+
+            let signature = 0;
+            let previous = 1n;
+            for (let k = 0; k < size; k++) {
+                let pivot = -1;
+                for (let i = k; i < size && pivot === -1; i++) {
+                    if (m[i][i] !== 0n) pivot = i;
+                }
+                if (pivot === -1) {
+                    // Zero diagonal: find an off-diagonal entry and fold it in
+                    for (let i = k; i < size && pivot === -1; i++) {
+                        for (let j = k; j < size; j++) {
+                            if (m[i][j] === 0n) continue;
+                            for (let c = k; c < size; c++) m[i][c] += m[j][c];
+                            for (let r = k; r < size; r++) m[r][i] += m[r][j];
+                            pivot = i;
+                            break;
+                        }
+                    }
+                    // What remains is zero: null directions add nothing
+                    if (pivot === -1) break;
+                }
+                swap(k, pivot);
+
+                const p = m[k][k];
+                signature += (p > 0n) === (previous > 0n) ? 1 : -1;
+                for (let i = k + 1; i < size; i++) {
+                    for (let j = k + 1; j < size; j++) {
+                        m[i][j] = (m[i][j] * p - m[i][k] * m[k][j]) / previous;
+                    }
+                }
+                previous = p;
+            }
+            return signature;
+        }
+
+        /**
+         * Value of a polynomial (no negative exponents) at an integer point
+         */
+        static evaluate(polynomial, x) {
+            let value = 0n;
+            for (let k = polynomial.coeffs.length - 1; k >= 0; k--) {
+                value = value * x + polynomial.coeffs[k];
+            }
+            return value * x ** BigInt(polynomial.low);
+        }
+
+        /**
+         * Cyclically reduced word: free reduction, then letters cancelling
+         * across the ends (conjugation does not change the closure)
+         */
+        static cyclicallyReduce(braidWord) {
+            const crossings = braidWord.reduce().crossings;
+            let start = 0;
+            let end = crossings.length;
+            while (end - start >= 2 && crossings[start].cancels(crossings[end - 1])) {
+                start++;
+                end--;
+            }
+            return new BraidWord(crossings.slice(start, end), braidWord.numStrands);
+        }
+
+        /**
+         * Split the closure along generators the word never uses: the strands
+         * either side of an unused σᵢ close up separately
+         * @returns {{strands: number[], word: BraidWord}[]} Sub-braids on consecutive strands
+         */
+        static splitParts(braidWord) {
+            const used = new Array(braidWord.numStrands).fill(false);
+            for (const c of braidWord.crossings) used[c.generator] = true;
+
+            const parts = [];
+            let first = 0;
+            for (let i = 1; i <= braidWord.numStrands; i++) {
+                if (i < braidWord.numStrands && used[i]) continue;
+                const crossings = braidWord.crossings
+                    .filter(c => c.generator > first && c.generator < i)
+                    .map(c => new Crossing(c.generator - first, c.sign, c.timestamp));
+                parts.push({
+                    strands: Array.from({ length: i - first }, (_, k) => first + k),
+                    word: new BraidWord(crossings, i - first)
+                });
+                first = i;
+            }
+            return parts;
+        }
+
+        /**
+         * Table entries with their invariants and those of their mirror
+         * images, computed on first use
+         */
+        static table() {
+            if (!BraidClosure.tableCache) {
+                // Built directly: the unknot is the closure of the 1-strand braid
+                const word = (letters) => BraidClosure.fromLetters(letters, 1);
+                BraidClosure.tableCache = KNOT_TABLE.map(entry => ({
+                    ...entry,
+                    invariants: BraidClosure.invariants(word(entry.braid)),
+                    mirrorInvariants: BraidClosure.invariants(word(entry.braid.map(g => -g)))
+                }));
+            }
+            return BraidClosure.tableCache;
+        }
+
+        /**
+         * Table entry whose invariants match (null when none does)
+         * @returns {{entry: Object, mirror: boolean}|null} mirror is true for
+         *          the mirror image of a chiral entry
+         */
+        static lookup(invariants) {
+            const same = (a, b) => a.components === b.components &&
+                a.determinant === b.determinant &&
+                a.signature === b.signature &&
+                a.alexander.equals(b.alexander) &&
+                a.jones.equals(b.jones);
+
+            for (const entry of BraidClosure.table()) {
+                if (same(invariants, entry.invariants)) return { entry, mirror: false };
+                if (same(invariants, entry.mirrorInvariants)) return { entry, mirror: true };
+            }
+            return null;
+        }
+
+        /**
+         * Table entries whose split union has these invariants, for split
+         * links whose word does not show the split (Alexander vanishes on
+         * split links, and the Jones polynomial of K ∪ L is V(K)·V(L)·d
+         * with d = -t^(1/2) - t^(-1/2)). Unknots come last.
+         * @returns {{entry: Object, mirror: boolean}[]|null}
+         */
+        static lookupSplit(invariants) {
+            if (invariants.components < 2 || !invariants.alexander.isZero) return null;
+            const circle = new LaurentPolynomial([-1n, 0n, -1n], -1);
+
+            const search = (jones, components, signature) => {
+                for (const entry of BraidClosure.table()) {
+                    for (const mirror of [false, true]) {
+                        const own = mirror ? entry.mirrorInvariants : entry.invariants;
+                        if (own.components >= components) continue;
+
+                        let rest;
+                        try {
+                            const { quotient, remainder } = jones.divide(own.jones.mul(circle));
+                            if (!remainder.isZero) continue;
+                            rest = quotient;
+                        } catch (e) {
+                            continue; // Not divisible over the integers
+                        }
+
+                        const match = { entry, mirror };
+                        const remaining = components - own.components;
+                        const last = BraidClosure.table().find(other =>
+                            [false, true].some(flip => {
+                                const inv = flip ? other.mirrorInvariants : other.invariants;
+                                return inv.components === remaining &&
+                                    inv.signature === signature - own.signature &&
+                                    inv.jones.equals(rest);
+                            }));
+                        if (last) {
+                            const lastMirror = !last.invariants.jones.equals(rest);
+                            return [match, { entry: last, mirror: lastMirror }];
+                        }
+                        if (remaining >= 2) {
+                            const others = search(rest, remaining, signature - own.signature);
+                            if (others) return [match, ...others];
+                        }
+                    }
+                }
+                return null;
+            };
+
+            const matches = search(invariants.jones, invariants.components, invariants.signature);
+            return matches && matches.sort((a, b) => (a.entry.id === '0_1') - (b.entry.id === '0_1'));
+        }
+
+        /**
+         * Name the knot or link formed by closing the braid
+         *
+         * Split closures are identified part by part, and split links whose
+         * word hides the split by their invariants. Matching is by
+         * invariants, which tell apart everything in the table but cannot
+         * rule out an untabulated knot with the same polynomials.
+         * @param {BraidWord} braidWord
+         * @param {Object} options - maxCrossings: longest (cyclically reduced)
+         *                           word to attempt; longer ones return null
+         * @returns {{name: string, identified: boolean, components: number,
+         *            parts: {strands: number[], id: string|null, name: string, mirror: boolean,
+         *                    components: number, signature: number, determinant: number}[],
+         *            signature: number, determinant: number}|null}
+         *          A part's strands are the sub-braid it was found in
+         */
+        static identify(braidWord, options = {}) {
+            const { maxCrossings = 60 } = options;
+            const word = BraidClosure.cyclicallyReduce(braidWord);
+            if (word.length > maxCrossings) return null;
+
+            const describe = (strands, { entry, mirror }) => {
+                const invariants = mirror ? entry.mirrorInvariants : entry.invariants;
+                return {
+                    strands,
+                    id: entry.id,
+                    name: entry.name + (mirror ? ' (mirror)' : ''),
+                    mirror,
+                    components: invariants.components,
+                    signature: invariants.signature,
+                    determinant: invariants.determinant
+                };
+            };
+
+            const parts = [];
+            for (const { strands, word: part } of BraidClosure.splitParts(word)) {
+                const invariants = BraidClosure.invariants(part);
+                const match = BraidClosure.lookup(invariants);
+                const split = match ? null : BraidClosure.lookupSplit(invariants);
+                if (match) {
+                    parts.push(describe(strands, match));
+                } else if (split) {
+                    parts.push(...split.map(m => describe(strands, m)));
+                } else {
+                    const kind = invariants.components === 1
+                        ? 'knot'
+                        : `${invariants.components}-component link`;
+                    parts.push({
+                        strands,
+                        id: null,
+                        name: `unknown ${kind}`,
+                        mirror: false,
+                        components: invariants.components,
+                        signature: invariants.signature,
+                        determinant: invariants.determinant
+                    });
+                }
+            }
+
+            const unknots = parts.filter(part => part.id === '0_1').length;
+            const name = unknots === parts.length && parts.length > 1
+                ? `${parts.length}-component unlink`
+                : parts.map(part => part.name).join(' ∪ ');
+
+            return {
+                name,
+                identified: parts.every(part => part.id !== null),
+                components: parts.reduce((sum, part) => sum + part.components, 0),
+                parts,
+                signature: parts.reduce((sum, part) => sum + part.signature, 0),
+                // Split links have determinant 0
+                determinant: parts.length > 1 ? 0 : parts[0].determinant
+            };
+        }
+
+        /**
+         * Braid from integer letters (σᵢ = i, σᵢ⁻¹ = -i); unlike
+         * BraidWord.parse() this allows a single strand
+         */
+        static fromLetters(letters, numStrands) {
+            return new BraidWord(letters.map(g => new Crossing(Math.abs(g), Math.sign(g), 0)), numStrands);
+        }
+
+        /**
+         * The table's braid for an id, e.g. tableBraid('3_1') = σ₁³
+         * @returns {BraidWord|null}
+         */
+        static tableBraid(id) {
+            const entry = KNOT_TABLE.find(e => e.id === id);
+            if (!entry) return null;
+            return BraidClosure.fromLetters(entry.braid, Math.max(0, ...entry.braid.map(Math.abs)) + 1);
+        }
+
+        /**
+         * Shrink a braid without changing its closure: cyclic reduction and
+         * destabilization, repeated until neither applies
+         */
+        static markovReduce(braidWord) {
+            let word = BraidClosure.cyclicallyReduce(braidWord);
+            for (let smaller = word.destabilize(); smaller; smaller = word.destabilize()) {
+                word = BraidClosure.cyclicallyReduce(smaller);
+            }
+            return word;
+        }
+
+        /**
+         * Do two braids close up to the same knot or link?
+         *
+         * Different invariants settle it negatively. Otherwise both braids
+         * are Markov-reduced; on equal strand counts conjugate braids have
+         * the same closure (decided exactly by ultra summit sets), and
+         * failing that a bounded search from both ends applies braid
+         * relations, rotations and (de)stabilizations looking for a common
+         * closed word.
+         * @param {BraidWord} a
+         * @param {BraidWord} b
+         * @param {Object} options - maxNodes: closed words the search may visit
+         * @returns {{equivalent: boolean|null, method: string}}
+         *          equivalent is null when the invariants agree but no chain
+         *          of moves was found within the budget; method is
+         *          'invariants', 'conjugacy', 'moves' or 'undecided'
+         */
+        static equivalent(a, b, options = {}) {
+            const { maxNodes = 5000 } = options;
+
+            const x = BraidClosure.invariants(a);
+            const y = BraidClosure.invariants(b);
+            const same = x.components === y.components &&
+                x.signature === y.signature &&
+                x.alexander.equals(y.alexander) &&
+                x.jones.equals(y.jones);
+            if (!same) return { equivalent: false, method: 'invariants' };
+
+            const reducedA = BraidClosure.markovReduce(a);
+            const reducedB = BraidClosure.markovReduce(b);
+
+            if (reducedA.numStrands === reducedB.numStrands && reducedA.numStrands > 1) {
+                try {
+                    if (BraidConjugacy.areConjugate(reducedA, reducedB)) {
+                        return { equivalent: true, method: 'conjugacy' };
+                    }
+                } catch (e) {
+                    // Summit set too large: leave it to the search
+                }
+            }
+
+            const maxStrands = Math.max(reducedA.numStrands, reducedB.numStrands) + 1;
+            const found = BraidClosure.searchMoves(reducedA, reducedB, maxStrands, maxNodes);
+            return found
+                ? { equivalent: true, method: 'moves' }
+                : { equivalent: null, method: 'undecided' };
+        }
+
+        /**
+         * Breadth-first search from both braids at once for a common closed
+         * word (words are compared up to rotation)
+         * @returns {boolean} Whether the searches met within maxNodes words
+         */
+        static searchMoves(a, b, maxStrands, maxNodes) {
+            const sides = [a, b].map(word => {
+                const start = { letters: word.toArray(), numStrands: word.numStrands };
+                return { frontier: [start], seen: new Set([BraidClosure.closedWordKey(start)]) };
+            });
+            if ([...sides[0].seen].some(key => sides[1].seen.has(key))) return true;
+
+            let visited = 2;
+            while (visited < maxNodes) {
+                // Grow the smaller frontier
+                const [side, other] = sides[0].frontier.length <= sides[1].frontier.length
+                    ? sides
+                    : [sides[1], sides[0]];
+                if (side.frontier.length === 0) return false;
+
+                const next = [];
+                for (const word of side.frontier) {
+                    for (const neighbour of BraidClosure.closedWordMoves(word, maxStrands)) {
+                        const key = BraidClosure.closedWordKey(neighbour);
+                        if (other.seen.has(key)) return true;
+                        if (side.seen.has(key)) continue;
+                        side.seen.add(key);
+                        next.push(neighbour);
+                        if (++visited >= maxNodes) return false;
+                    }
+                }
+                side.frontier = next;
+            }
+            return false;
+        }
+
+        /**
+         * Key of a closed braid word: strand count and least rotation
+         */
+        static closedWordKey({ letters, numStrands }) {
+            let best = letters.join(',');
+            for (let k = 1; k < letters.length; k++) {
+                const rotated = [...letters.slice(k), ...letters.slice(0, k)].join(',');
+                if (rotated < best) best = rotated;
+            }
+            return numStrands + ':' + best;
+        }
+
+        /**
+         * Closed words one move away: at every rotation, a free cancellation,
+         * far commutation or braid relation at the front (σᵢσⱼσᵢ = σⱼσᵢσⱼ
+         * and σᵢᵉσⱼᶠσᵢ⁻ᵉ = σⱼ⁻ᵉσᵢᶠσⱼᵉ for |i - j| = 1), plus destabilization
+         * and, below maxStrands, stabilization
+         */
+        static closedWordMoves({ letters, numStrands }, maxStrands) {
+            const moves = [];
+            const n = numStrands;
+            for (let k = 0; k < letters.length; k++) {
+                const w = [...letters.slice(k), ...letters.slice(0, k)];
+                const [a, b, c] = w;
+                const [i, j] = [Math.abs(a), Math.abs(b)];
+
+                if (w.length >= 2 && a === -b) {
+                    moves.push({ letters: w.slice(2), numStrands: n });
+                }
+                if (w.length >= 2 && Math.abs(i - j) >= 2) {
+                    moves.push({ letters: [b, a, ...w.slice(2)], numStrands: n });
+                }
+                if (w.length >= 3 && Math.abs(i - j) === 1 && Math.abs(c) === i) {
+                    const [e, f] = [Math.sign(a), Math.sign(b)];
+                    if (a === c && e === f) {
+                        moves.push({ letters: [b, a, b, ...w.slice(3)], numStrands: n });
+                    } else if (a === -c) {
+                        moves.push({ letters: [-e * j, f * i, e * j, ...w.slice(3)], numStrands: n });
+                    }
+                }
+            }
+
+            const smaller = BraidClosure.fromLetters(letters, n).destabilize();
+            if (smaller) moves.push({ letters: smaller.toArray(), numStrands: smaller.numStrands });
+            if (n < maxStrands) {
+                moves.push({ letters: [...letters, n], numStrands: n + 1 });
+                moves.push({ letters: [...letters, -n], numStrands: n + 1 });
+            }
+            return moves;
+        }
+
+        /**
+         * Rolfsen-style label for a table id, e.g. "7₄" or "L6a4"
+         */
+        static formatId(id) {
+            return id.replace(/(\d+)_(\d+)/g, (_, crossings, index) => crossings + toSubscript(Number(index)));
+        }
+    }
+
+    BraidClosure.tableCache = null;
+
+    // Export
+    if (isNode) {
+        module.exports = { BraidClosure, KNOT_TABLE };
+    } else {
+        window.BraidClosure = BraidClosure;
+        window.KNOT_TABLE = KNOT_TABLE;
+    }
+
+})();
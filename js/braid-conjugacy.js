@@ -0,0 +1,383 @@
+/**
+ * Braid Conjugacy - Telling tangles apart up to relabelling
+ *
+ * Two tangles that differ only in which leash the walker calls "first" are
+ * conjugate braids, x and s⁻¹·x·s. Garside theory decides conjugacy: every
+ * braid can be cycled and decycled into its super summit set (maximal inf,
+ * minimal sup), and the ultra summit set (the cycling orbits inside it) is a
+ * finite, conjugacy-invariant set whose smallest normal form names the class.
+ *
+ * The Nielsen–Thurston type (periodic, reducible, pseudo-Anosov) comes from
+ * the same machinery and measures how "knotted" a tangle really is.
+ */
+
+(function() {
+    'use strict';
+
+    // In Node the braid classes come from braid.js; in the browser they are globals
+    const { PermutationBraid, GarsideNormalForm, BraidWord } = typeof module !== 'undefined' && module.exports
+        ? require('./braid.js')
+        : window;
+
+    // All n! simple braids, cached per strand count
+    const simpleElementCache = new Map();
+
+    /**
+     * Conjugacy invariants computed from Garside normal forms
+     */
+    class BraidConjugacy {
+        /**
+         * Every positive permutation braid on n strands
+         */
+        static simpleElements(numStrands) {
+            if (!simpleElementCache.has(numStrands)) {
+                const perms = [];
+                const build = (prefix, remaining) => {
+                    if (remaining.length === 0) {
+                        perms.push(new PermutationBraid(prefix));
+                        return;
+                    }
+                    remaining.forEach((value, i) => {
+                        build([...prefix, value], [...remaining.slice(0, i), ...remaining.slice(i + 1)]);
+                    });
+                };
+                build([], Array.from({ length: numStrands }, (_, i) => i));
+                simpleElementCache.set(numStrands, perms);
+            }
+            return simpleElementCache.get(numStrands);
+        }
+
+        /**
+         * Normal form of s⁻¹·x·s for a simple braid s
+         *
+         * s⁻¹ = Δ⁻¹·∂s with ∂s the left complement, and ∂s·Δᵖ = Δᵖ·τᵖ(∂s),
+         * so the conjugate is Δᵖ⁻¹·τᵖ(∂s)·A₁…Aᵣ·s.
+         */
+        static conjugate(normalForm, simple) {
+            let complement = simple.leftComplement();
+            if (normalForm.power % 2 !== 0) complement = complement.flip();
+
+            const factors = [complement];
+            for (const factor of normalForm.factors) {
+                GarsideNormalForm.appendFactor(factors, factor);
+            }
+            GarsideNormalForm.appendFactor(factors, simple);
+            return GarsideNormalForm.fromFactors(normalForm.numStrands, normalForm.power - 1, factors);
+        }
+
+        /**
+         * Cycling: Δᵖ·A₁·A₂…Aᵣ ↦ Δᵖ·A₂…Aᵣ·τᵖ(A₁), a conjugation by τᵖ(A₁)
+         */
+        static cycle(normalForm) {
+            if (normalForm.canonicalLength === 0) return normalForm;
+            const [first, ...rest] = normalForm.factors;
+            const moved = normalForm.power % 2 !== 0 ? first.flip() : first;
+
+            const factors = [...rest];
+            GarsideNormalForm.appendFactor(factors, moved);
+            return GarsideNormalForm.fromFactors(normalForm.numStrands, normalForm.power, factors);
+        }
+
+        /**
+         * Decycling: Δᵖ·A₁…Aᵣ ↦ Aᵣ·Δᵖ·A₁…Aᵣ₋₁ = Δᵖ·τᵖ(Aᵣ)·A₁…Aᵣ₋₁,
+         * a conjugation by Aᵣ⁻¹
+         */
+        static decycle(normalForm) {
+            if (normalForm.canonicalLength === 0) return normalForm;
+            const last = normalForm.factors[normalForm.factors.length - 1];
+            const factors = [normalForm.power % 2 !== 0 ? last.flip() : last];
+            for (const factor of normalForm.factors.slice(0, -1)) {
+                GarsideNormalForm.appendFactor(factors, factor);
+            }
+            return GarsideNormalForm.fromFactors(normalForm.numStrands, normalForm.power, factors);
+        }
+
+        /**
+         * Conjugate into the super summit set
+         *
+         * If inf can grow at all, |Δ| = n(n-1)/2 cyclings are enough to grow
+         * it, and likewise decycling for sup (Birman–Ko–Lee).
+         */
+        static sendToSuperSummit(normalForm) {
+            const n = normalForm.numStrands;
+            const patience = n * (n - 1) / 2;
+            let current = normalForm;
+
+            for (const [step, better] of [
+                [BraidConjugacy.cycle, (a, b) => a.inf > b.inf],
+                [BraidConjugacy.decycle, (a, b) => a.sup < b.sup]
+            ]) {
+                let improved = true;
+                while (improved && current.canonicalLength > 0) {
+                    improved = false;
+                    let candidate = current;
+                    for (let k = 0; k < patience; k++) {
+                        candidate = step(candidate);
+                        if (better(candidate, current)) {
+                            current = candidate;
+                            improved = true;
+                            break;
+                        }
+                    }
+                }
+            }
+
+            return current;
+        }
+
+        /**
+         * Conjugate into the ultra summit set: cycle a super summit element
+         * until its orbit closes up
+         */
+        static sendToUltraSummit(normalForm) {
+            let current = BraidConjugacy.sendToSuperSummit(normalForm);
+            const seen = new Set();
+            while (!seen.has(current.key())) {
+                seen.add(current.key());
+                current = BraidConjugacy.cycle(current);
+            }
+            return current;
+        }
+
+        /**
+         * The cycling orbit of a super summit element, or null when the
+         * element is not in the ultra summit set (its orbit never returns)
+         */
+        static ultraSummitOrbit(normalForm) {
+            const orbit = [normalForm];
+            const seen = new Set([normalForm.key()]);
+            let current = BraidConjugacy.cycle(normalForm);
+
+            while (!seen.has(current.key())) {
+                seen.add(current.key());
+                orbit.push(current);
+                current = BraidConjugacy.cycle(current);
+            }
+            return current.equals(normalForm) ? orbit : null;
+        }
+
+        /**
+         * Super summit set of a braid
+         *
+         * Closed under conjugation by simple braids (El-Rifai–Morton), so a
+         * search over all n! simple conjugators finds all of it.
+         * @param {GarsideNormalForm} normalForm
+         * @param {number} maxSize - Give up (return null) beyond this many elements
+         * @returns {GarsideNormalForm[]|null}
+         */
+        static superSummitSet(normalForm, maxSize = BraidConjugacy.defaultMaxSize(normalForm.numStrands)) {
+            const start = BraidConjugacy.sendToSuperSummit(normalForm);
+            return BraidConjugacy.closeUnderSimpleConjugation([start], maxSize, (candidate) =>
+                candidate.inf === start.inf && candidate.sup === start.sup ? [candidate] : null
+            );
+        }
+
+        /**
+         * Ultra summit set of a braid: the super summit elements that lie on
+         * closed cycling orbits. Connected under simple conjugators (Gebhardt).
+         * @param {GarsideNormalForm} normalForm
+         * @param {number} maxSize - Give up (return null) beyond this many elements
+         * @returns {GarsideNormalForm[]|null}
+         */
+        static ultraSummitSet(normalForm, maxSize = BraidConjugacy.defaultMaxSize(normalForm.numStrands)) {
+            const start = BraidConjugacy.sendToUltraSummit(normalForm);
+            return BraidConjugacy.closeUnderSimpleConjugation(
+                BraidConjugacy.ultraSummitOrbit(start), maxSize, (candidate) => {
+                    if (candidate.inf !== start.inf || candidate.sup !== start.sup) return null;
+                    return BraidConjugacy.ultraSummitOrbit(candidate);
+                }
+            );
+        }
+
+        /**
+         * Summit set size limit: each element costs n! conjugations, so keep
+         * the total near 50,000 conjugations (well under a second)
+         */
+        static defaultMaxSize(numStrands) {
+            let factorial = 1;
+            for (let k = 2; k <= numStrands; k++) factorial *= k;
+            return Math.max(20, Math.floor(50000 / factorial));
+        }
+
+        /**
+         * Breadth-first closure of a set under conjugation by simple braids
+         * @param {GarsideNormalForm[]} seeds
+         * @param {number} maxSize
+         * @param {function} accept - Maps a conjugate to the elements it adds, or null to reject it
+         */
+        static closeUnderSimpleConjugation(seeds, maxSize, accept) {
+            const simples = BraidConjugacy.simpleElements(seeds[0].numStrands);
+            const members = new Map(seeds.map(x => [x.key(), x]));
+            const queue = [...seeds];
+
+            while (queue.length > 0) {
+                const x = queue.shift();
+                for (const simple of simples) {
+                    if (simple.isIdentity) continue;
+                    const candidate = BraidConjugacy.conjugate(x, simple);
+                    if (members.has(candidate.key())) continue;
+
+                    const added = accept(candidate);
+                    if (!added) continue;
+                    for (const y of added) {
+                        if (members.has(y.key())) continue;
+                        members.set(y.key(), y);
+                        queue.push(y);
+                    }
+                    if (members.size > maxSize) return null;
+                }
+            }
+
+            return [...members.values()];
+        }
+
+        /**
+         * Conjugacy-invariant name for a braid: the smallest ultra summit
+         * normal form, plus a short hash of it for display
+         * @param {BraidWord} braidWord
+         * @returns {{id: string, representative: GarsideNormalForm, size: number}|null}
+         *          null when the ultra summit set is too large to enumerate
+         */
+        static classOf(braidWord, maxSize = BraidConjugacy.defaultMaxSize(braidWord.numStrands)) {
+            const uss = BraidConjugacy.ultraSummitSet(braidWord.toGarsideNormalForm(), maxSize);
+            return uss ? BraidConjugacy.nameClass(uss) : null;
+        }
+
+        static nameClass(ultraSummitSet) {
+            const representative = ultraSummitSet.reduce((best, x) => x.key() < best.key() ? x : best);
+            return {
+                id: BraidConjugacy.hash(`${representative.numStrands}/${representative.key()}`),
+                representative,
+                size: ultraSummitSet.length
+            };
+        }
+
+        /**
+         * Conjugacy class and Nielsen–Thurston type from a single ultra
+         * summit set computation
+         * @returns {{id: string|null, representative: GarsideNormalForm|null,
+         *            size: number, type: string}}
+         */
+        static analyze(braidWord, maxSize = BraidConjugacy.defaultMaxSize(braidWord.numStrands)) {
+            const uss = BraidConjugacy.ultraSummitSet(braidWord.toGarsideNormalForm(), maxSize);
+            const named = uss ? BraidConjugacy.nameClass(uss) : { id: null, representative: null, size: 0 };
+            return { ...named, type: BraidConjugacy.nielsenThurstonType(braidWord, uss) };
+        }
+
+        /**
+         * Are two braids conjugate? (Same strand count required)
+         */
+        static areConjugate(a, b, maxSize = null) {
+            const n = Math.max(a.numStrands, b.numStrands);
+            if (maxSize === null) maxSize = BraidConjugacy.defaultMaxSize(n);
+            const x = a.toGarsideNormalForm(n);
+            const y = BraidConjugacy.sendToUltraSummit(b.toGarsideNormalForm(n));
+            if (x.exponentSum !== y.exponentSum) return false;
+
+            const uss = BraidConjugacy.ultraSummitSet(x, maxSize);
+            if (!uss) {
+                throw new Error('Ultra summit set too large to decide conjugacy');
+            }
+            return uss.some(z => z.equals(y));
+        }
+
+        /**
+         * Nielsen–Thurston type of a braid
+         *
+         * Periodic: some power is a power of Δ (x^n or x^(n-1) for n strands).
+         * On three strands the rest is decided exactly by the reduced Burau
+         * trace at t = -1 (|tr| = 2 reducible, > 2 pseudo-Anosov). On more
+         * strands a braid is reported reducible when an element of its ultra
+         * summit set preserves a round curve around a block of strands; by
+         * González-Meneses–Wiest this catches reducible braids in their usual
+         * (rigid) form, and anything else is reported as pseudo-Anosov.
+         * @param {BraidWord} braidWord
+         * @param {GarsideNormalForm[]|null} ultraSummitSet - Reuse an already computed set
+         * @returns {'periodic'|'reducible'|'pseudo-Anosov'}
+         */
+        static nielsenThurstonType(braidWord, ultraSummitSet = null) {
+            const n = braidWord.numStrands;
+            if (n <= 2) return 'periodic';
+
+            for (const exponent of [n, n - 1]) {
+                const power = BraidConjugacy.power(braidWord, exponent);
+                if (power.toGarsideNormalForm(n).canonicalLength === 0) return 'periodic';
+            }
+
+            if (n === 3) {
+                const burau = braidWord.burauMatrix();
+                const trace = burau[0][0].add(burau[1][1]).evaluate(-1);
+                return Math.abs(trace) > 2 ? 'pseudo-Anosov' : 'reducible';
+            }
+
+            const uss = ultraSummitSet ||
+                BraidConjugacy.ultraSummitSet(braidWord.toGarsideNormalForm()) ||
+                [BraidConjugacy.sendToUltraSummit(braidWord.toGarsideNormalForm())];
+            return uss.some(x => BraidConjugacy.hasRoundReducingCurve(x))
+                ? 'reducible'
+                : 'pseudo-Anosov';
+        }
+
+        /**
+         * Does some power xᵏ (k ≤ n) map a round curve around strands
+         * i..j (1 < j-i+1 < n) back to itself, staying round throughout?
+         */
+        static hasRoundReducingCurve(normalForm) {
+            const n = normalForm.numStrands;
+
+            // Image of a block of consecutive positions, or null if it stops being consecutive
+            const image = ([lo, hi]) => {
+                if (normalForm.power % 2 !== 0) [lo, hi] = [n - 1 - hi, n - 1 - lo];
+                for (const factor of normalForm.factors) {
+                    const positions = [];
+                    for (let p = lo; p <= hi; p++) positions.push(factor.perm[p]);
+                    const min = Math.min(...positions);
+                    const max = Math.max(...positions);
+                    if (max - min !== hi - lo) return null;
+                    [lo, hi] = [min, max];
+                }
+                return [lo, hi];
+            };
+
+            for (let size = 2; size < n; size++) {
+                for (let lo = 0; lo + size <= n; lo++) {
+                    let block = [lo, lo + size - 1];
+                    for (let k = 0; k < n && block; k++) {
+                        block = image(block);
+                        if (block && block[0] === lo) return true;
+                    }
+                }
+            }
+            return false;
+        }
+
+        /**
+         * The braid word repeated k times
+         */
+        static power(braidWord, k) {
+            const crossings = [];
+            for (let i = 0; i < k; i++) crossings.push(...braidWord.crossings);
+            return new BraidWord(crossings, braidWord.numStrands);
+        }
+
+        /**
+         * 32-bit FNV-1a hash as 8 hex digits
+         */
+        static hash(text) {
+            let h = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                h ^= text.charCodeAt(i);
+                h = Math.imul(h, 0x01000193) >>> 0;
+            }
+            return h.toString(16).padStart(8, '0');
+        }
+    }
+
+    // Export
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { BraidConjugacy };
+    } else {
+        window.BraidConjugacy = BraidConjugacy;
+    }
+
+})();
@@ -0,0 +1,226 @@
+/**
+ * Braid Metrics - How tangled is a tangle?
+ *
+ * BraidWord.complexity (|writhe| + length/2) is a rough guide. These are the
+ * measures braid theory actually offers:
+ *
+ * - Garside length: the number of simple braids (permutation braids) needed
+ *   to write the tangle, from the normal form's inf and sup
+ * - Minimal crossings: an upper bound on the fewest crossings of any tangle
+ *   in the same conjugacy class, i.e. after the best relabelling of the leashes
+ * - Entropy: log of the dilatation, how fast repeating the tangle stretches
+ *   the leashes, bounded below by the Burau spectral radius on |t| = 1
+ */
+
+(function() {
+    'use strict';
+
+    // In Node the braid classes come from the other modules; in the browser they are globals
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { BraidWord } = isNode ? require('./braid.js') : window;
+    const { BraidSolver } = isNode ? require('./braid-solver.js') : window;
+    const { BraidConjugacy } = isNode ? require('./braid-conjugacy.js') : window;
+
+    /**
+     * Complex 2-vectors [re, im] and the few operations the spectral radius needs
+     */
+    const Complex = {
+        add: (a, b) => [a[0] + b[0], a[1] + b[1]],
+        mul: (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]],
+        abs: (a) => Math.hypot(a[0], a[1]),
+        scale: (a, s) => [a[0] * s, a[1] * s]
+    };
+
+    class BraidMetrics {
+        /**
+         * Garside length: Δ-simple factors in a geodesic over simple braids
+         * (sup when the braid is positive, -inf when negative, sup - inf otherwise)
+         * @returns {{inf: number, sup: number, canonicalLength: number, length: number}}
+         */
+        static garside(braidWord) {
+            const nf = braidWord.toGarsideNormalForm();
+            return {
+                inf: nf.inf,
+                sup: nf.sup,
+                canonicalLength: nf.canonicalLength,
+                length: Math.max(nf.sup, 0) - Math.min(nf.inf, 0)
+            };
+        }
+
+        /**
+         * Fewest crossings found among words for conjugates of the braid
+         *
+         * Candidates are the braid itself and up to maxConjugates elements of
+         * its ultra summit set (which contains the "tightest" conjugates); each
+         * gets a shortest word from BraidSolver, and cyclic rotations of the
+         * reduced word are tried too. Only those conjugates are searched, so
+         * this is an upper bound on the conjugacy class minimum, never
+         * guaranteed to reach it.
+         * @param {BraidWord} braidWord
+         * @param {Object} options - maxNodes: search budget shared by all candidates,
+         *                           maxConjugates: ultra summit elements to try
+         * @returns {{crossings: number}} The bound
+         */
+        static minimalCrossings(braidWord, options = {}) {
+            const { maxNodes = 4000, maxConjugates = 20 } = options;
+
+            const candidates = [braidWord];
+            const uss = BraidConjugacy.ultraSummitSet(braidWord.toGarsideNormalForm());
+            if (uss) {
+                for (const x of uss.slice(0, maxConjugates)) candidates.push(x.toBraidWord());
+            }
+            const solver = new BraidSolver({ maxNodes: Math.ceil(maxNodes / candidates.length) });
+
+            let best = Infinity;
+            for (const candidate of candidates) {
+                const result = solver.solve(candidate);
+                best = Math.min(best, result.length, BraidMetrics.cyclicallyReducedLength(candidate));
+            }
+
+            return { crossings: best };
+        }
+
+        /**
+         * Shortest reduce()d word among the cyclic rotations of a braid word
+         * (rotating a word conjugates the braid)
+         */
+        static cyclicallyReducedLength(braidWord) {
+            const crossings = braidWord.reduce().crossings;
+            let best = crossings.length;
+            for (let k = 1; k < crossings.length; k++) {
+                const rotated = new BraidWord(
+                    [...crossings.slice(k), ...crossings.slice(0, k)],
+                    braidWord.numStrands
+                );
+                best = Math.min(best, rotated.reduce().length);
+            }
+            return best;
+        }
+
+        /**
+         * Topological entropy lower bound: max over |t| = 1 of log ρ(B(t))
+         *
+         * On three strands t = -1 gives the exact dilatation of pseudo-Anosov
+         * braids; elsewhere the bound is sampled around the unit circle.
+         * @returns {{entropy: number, dilatation: number}}
+         */
+        static entropy(braidWord, samples = 64) {
+            if (braidWord.numStrands < 3 || braidWord.length === 0) {
+                return { entropy: 0, dilatation: 1 };
+            }
+
+            const burau = braidWord.burauMatrix();
+            let entropy = 0;
+            for (let k = 0; k <= samples / 2; k++) {
+                // Conjugate points give conjugate matrices, so half the circle suffices
+                const theta = Math.PI * (1 - 2 * k / samples);
+                const t = [Math.cos(theta), Math.sin(theta)];
+                const matrix = burau.map(row => row.map(p => BraidMetrics.evaluateAt(p, t)));
+                entropy = Math.max(entropy, BraidMetrics.logSpectralRadius(matrix));
+            }
+
+            // Numerical noise around 0 for periodic and reducible braids: the
+            // squarings only pin log ρ down to about 1e-6 (σ₁³ comes out at 1.06e-6)
+            if (entropy < BraidMetrics.ENTROPY_TOLERANCE) entropy = 0;
+            return { entropy, dilatation: Math.exp(entropy) };
+        }
+
+        /**
+         * Value of a LaurentPolynomial at a complex point on the unit circle
+         */
+        static evaluateAt(polynomial, t) {
+            let value = [0, 0];
+            polynomial.coeffs.forEach((c, k) => {
+                const angle = Math.atan2(t[1], t[0]) * (polynomial.low + k);
+                value = Complex.add(value, Complex.scale([Math.cos(angle), Math.sin(angle)], Number(c)));
+            });
+            return value;
+        }
+
+        /**
+         * log ρ(M) by Gelfand's formula, ρ = lim ‖M^(2^j)‖^(1/2^j), with
+         * the matrix renormalized after every squaring
+         */
+        static logSpectralRadius(matrix, squarings = 24) {
+            const size = matrix.length;
+            const norm = (m) => Math.max(...m.map(row => row.reduce((sum, z) => sum + Complex.abs(z), 0)));
+            let m = matrix;
+            let logScale = 0;
+            let exponent = 1;
+
+            for (let j = 0; j < squarings; j++) {
+                const scale = norm(m);
+                if (scale === 0) return -Infinity;
+                m = m.map(row => row.map(z => Complex.scale(z, 1 / scale)));
+                logScale += Math.log(scale) / exponent;
+
+                const squared = Array.from({ length: size }, () => Array.from({ length: size }, () => [0, 0]));
+                for (let a = 0; a < size; a++) {
+                    for (let b = 0; b < size; b++) {
+                        for (let c = 0; c < size; c++) {
+                            squared[a][c] = Complex.add(squared[a][c], Complex.mul(m[a][b], m[b][c]));
+                        }
+                    }
+                }
+                m = squared;
+                exponent *= 2;
+            }
+
+            const finalNorm = norm(m);
+            return finalNorm === 0 ? -Infinity : logScale + Math.log(finalNorm) / exponent;
+        }
+    }
+
+    // Entropies below this are treated as 0 (no stretching)
+    BraidMetrics.ENTROPY_TOLERANCE = 1e-4;
+
+    /**
+     * Metrics selectable for the "Tangle Metric" display
+     *
+     * Each entry computes a number from a BraidWord, formats it, and gives
+     * the thresholds for colour coding: value ≤ thresholds[0] is untangled
+     * (green), value < thresholds[1] is mild (yellow), anything else severe.
+     * Expensive ones take long enough on long braids that the page only
+     * computes them when it computes the detailed stats.
+     */
+    const TangleMetrics = {
+        complexity: {
+            label: 'Tangle Complexity',
+            // Same formula as BraidWord.complexity on the free reduction, which
+            // the word keeps up to date as crossings arrive
+            compute: (word) => Math.abs(word.writhe) + Math.floor(word.freeReducedLength / 2),
+            format: (value) => String(value),
+            thresholds: [0, 5]
+        },
+        garside: {
+            label: 'Garside Length',
+            compute: (word) => BraidMetrics.garside(word).length,
+            format: (value) => String(value),
+            thresholds: [0, 3]
+        },
+        minimalCrossings: {
+            label: 'Min Crossings (bound, up to relabelling)',
+            expensive: true, // A conjugacy search, close to a second at 400 letters
+            compute: (word) => BraidMetrics.minimalCrossings(word).crossings,
+            // An upper bound, except that 0 only comes from the trivial braid
+            format: (value) => value === 0 ? '0' : `≤ ${value}`,
+            thresholds: [0, 4]
+        },
+        entropy: {
+            label: 'Tangle Entropy',
+            expensive: true, // Repeated squaring of the Burau matrix
+            compute: (word) => BraidMetrics.entropy(word).entropy,
+            format: (value) => value.toFixed(3),
+            thresholds: [0, 1.5]
+        }
+    };
+
+    // Export
+    if (isNode) {
+        module.exports = { BraidMetrics, TangleMetrics };
+    } else {
+        window.BraidMetrics = BraidMetrics;
+        window.TangleMetrics = TangleMetrics;
+    }
+
+})();
@@ -0,0 +1,150 @@
+/**
+ * Random Braids - Seeded tangles for benchmarks and training data
+ *
+ * Three ways to draw a word in Bₙ, all reproducible from a seed:
+ * - uniform: every letter independently uniform over σᵢ^±1
+ * - randomWalk: the generator index wanders to a neighbour or stays, and
+ *   the sign persists, like a pair of dogs that keep circling each other
+ * - physical: dogs as points jittering around their lanes beside a walker;
+ *   a crossing is recorded whenever two neighbouring dogs swap sides
+ */
+
+(function() {
+    'use strict';
+
+    // In Node the braid classes come from braid.js; in the browser they are globals
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { Crossing, BraidWord } = isNode ? require('./braid.js') : window;
+
+    const BRAID_DISTRIBUTIONS = ['uniform', 'randomWalk', 'physical'];
+
+    /**
+     * Small seeded PRNG (mulberry32): returns a function giving floats in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    class RandomBraidGenerator {
+        /**
+         * @param {number} numStrands
+         * @param {Object} options - seed (default 1);
+         *                           persistence: randomWalk chance of keeping the sign;
+         *                           jitter, laneWidth: physical model noise and lane spacing
+         */
+        constructor(numStrands = 3, options = {}) {
+            if (numStrands < 2) {
+                throw new Error('Random braids need at least two strands');
+            }
+            this.numStrands = numStrands;
+            this.random = createRandom(options.seed !== undefined ? options.seed : 1);
+            this.persistence = options.persistence !== undefined ? options.persistence : 0.7;
+            this.jitter = options.jitter || 0.6;
+            this.laneWidth = options.laneWidth || 1;
+        }
+
+        /**
+         * A word with the given distribution and length
+         * @param {string} distribution - One of BRAID_DISTRIBUTIONS
+         * @returns {BraidWord}
+         */
+        generate(distribution, length) {
+            if (!BRAID_DISTRIBUTIONS.includes(distribution)) {
+                throw new Error(`Unknown braid distribution: ${distribution}`);
+            }
+            return this[distribution](length);
+        }
+
+        uniform(length) {
+            const crossings = [];
+            for (let i = 0; i < length; i++) {
+                const generator = 1 + Math.floor(this.random() * (this.numStrands - 1));
+                crossings.push(new Crossing(generator, this.random() < 0.5 ? 1 : -1, 0));
+            }
+            return new BraidWord(crossings, this.numStrands);
+        }
+
+        randomWalk(length) {
+            const maxGenerator = this.numStrands - 1;
+            let generator = 1 + Math.floor(this.random() * maxGenerator);
+            let sign = this.random() < 0.5 ? 1 : -1;
+            const crossings = [];
+
+            for (let i = 0; i < length; i++) {
+                if (i > 0) {
+                    // Stay, or step to a neighbouring pair of strands
+                    const step = Math.floor(this.random() * 3) - 1;
+                    generator = Math.min(maxGenerator, Math.max(1, generator + step));
+                    if (this.random() >= this.persistence) sign = -sign;
+                }
+                crossings.push(new Crossing(generator, sign, 0));
+            }
+            return new BraidWord(crossings, this.numStrands);
+        }
+
+        /**
+         * Dogs jitter around lanes beside the walker and are pulled back
+         * towards them. Sorting the dogs left to right gives the strand
+         * positions; when neighbours swap, the one further ahead passes over
+         * (sign +1 when it is the dog that was on the right).
+         * @param {number} length - Crossings to record
+         * @param {number} maxSteps - Give up (returning a shorter word) after this many steps
+         */
+        physical(length, maxSteps = 1000 * length) {
+            const n = this.numStrands;
+            const dogs = Array.from({ length: n }, (_, i) => ({
+                lane: (i - (n - 1) / 2) * this.laneWidth,
+                x: (i - (n - 1) / 2) * this.laneWidth,
+                y: this.gaussian()
+            }));
+            const order = dogs.map((_, i) => i); // order[position] = dog
+            const crossings = [];
+
+            for (let step = 0; step < maxSteps && crossings.length < length; step++) {
+                for (const dog of dogs) {
+                    dog.x += 0.1 * (dog.lane - dog.x) + this.jitter * this.gaussian();
+                    dog.y += -0.1 * dog.y + 0.5 * this.jitter * this.gaussian();
+                }
+
+                // Bubble neighbours back into order, one crossing per swap
+                for (let swapped = true; swapped && crossings.length < length;) {
+                    swapped = false;
+                    for (let p = 0; p + 1 < n && crossings.length < length; p++) {
+                        const left = dogs[order[p]];
+                        const right = dogs[order[p + 1]];
+                        if (left.x <= right.x) continue;
+                        crossings.push(new Crossing(p + 1, right.y > left.y ? 1 : -1, step));
+                        [order[p], order[p + 1]] = [order[p + 1], order[p]];
+                        swapped = true;
+                    }
+                }
+            }
+            return new BraidWord(crossings, n);
+        }
+
+        /**
+         * Standard normal sample (Box–Muller)
+         */
+        gaussian() {
+            const u = 1 - this.random();
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+        }
+    }
+
+    // Export
+    if (isNode) {
+        module.exports = { RandomBraidGenerator, BRAID_DISTRIBUTIONS, createRandom };
+    } else {
+        window.RandomBraidGenerator = RandomBraidGenerator;
+        window.BRAID_DISTRIBUTIONS = BRAID_DISTRIBUTIONS;
+        window.createRandom = createRandom;
+    }
+
+})();
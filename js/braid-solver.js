@@ -0,0 +1,180 @@
+/**
+ * Braid Solver - Shortest untangling sequences
+ *
+ * Finds a minimal-length word u with β·u = ε for the current braid β, i.e. a
+ * geodesic for β⁻¹. The search runs A* over the Cayley graph of Bₙ, with
+ * states identified by their Garside normal form. Practical for B₃ and small
+ * B₄ tangles; larger searches stop at a node budget and fall back to the
+ * inverse of the normal form.
+ */
+
+(function() {
+    'use strict';
+
+    // In Node the braid classes come from braid.js; in the browser they are globals
+    const { Crossing, BraidWord } = typeof module !== 'undefined' && module.exports
+        ? require('./braid.js')
+        : window;
+
+    /**
+     * Minimal binary heap keyed on (f, -g)
+     */
+    class SearchQueue {
+        constructor() {
+            this.items = [];
+        }
+
+        get size() {
+            return this.items.length;
+        }
+
+        static before(a, b) {
+            // Lower f first; on ties prefer deeper nodes (closer to the goal)
+            return a.f < b.f || (a.f === b.f && a.g > b.g);
+        }
+
+        push(item) {
+            const items = this.items;
+            items.push(item);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (!SearchQueue.before(items[i], items[parent])) break;
+                [items[i], items[parent]] = [items[parent], items[i]];
+                i = parent;
+            }
+        }
+
+        pop() {
+            const items = this.items;
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const l = 2 * i + 1;
+                    const r = l + 1;
+                    let best = i;
+                    if (l < items.length && SearchQueue.before(items[l], items[best])) best = l;
+                    if (r < items.length && SearchQueue.before(items[r], items[best])) best = r;
+                    if (best === i) break;
+                    [items[i], items[best]] = [items[best], items[i]];
+                    i = best;
+                }
+            }
+            return top;
+        }
+    }
+
+    /**
+     * A* untangling solver
+     */
+    class BraidSolver {
+        constructor(options = {}) {
+            // Give up (and fall back to a non-optimal answer) after this many expansions
+            this.maxNodes = options.maxNodes || 200000;
+        }
+
+        /**
+         * Admissible lower bound on the word length of a braid
+         *
+         * A word with P positive and N negative letters has sup ≤ P, inf ≥ -N
+         * and exponent sum P - N, which bounds P + N from below several ways.
+         * Word length also has the parity of the exponent sum.
+         */
+        static heuristic(normalForm) {
+            const e = normalForm.exponentSum;
+            const minPositive = Math.max(normalForm.sup, 0, e);
+            const minNegative = Math.max(-normalForm.inf, 0, -e);
+            let bound = Math.max(
+                Math.abs(e),
+                minPositive + minNegative,
+                2 * minNegative + e,
+                2 * minPositive - e
+            );
+            if ((bound - e) % 2 !== 0) bound++;
+            return bound;
+        }
+
+        /**
+         * Find a shortest word that untangles the braid
+         * @param {BraidWord} braidWord
+         * @returns {{solution: BraidWord, length: number, optimal: boolean,
+         *            nodesExpanded: number, elapsedMs: number}}
+         */
+        solve(braidWord) {
+            const startTime = Date.now();
+            const n = braidWord.numStrands;
+            const start = braidWord.toGarsideNormalForm();
+
+            const queue = new SearchQueue();
+            const bestCost = new Map([[start.key(), 0]]);
+            queue.push({ state: start, g: 0, f: BraidSolver.heuristic(start), move: null, parent: null });
+
+            let nodesExpanded = 0;
+            let goal = null;
+
+            while (queue.size > 0 && nodesExpanded < this.maxNodes) {
+                const node = queue.pop();
+                if (node.state.isTrivial) {
+                    goal = node;
+                    break;
+                }
+                if (node.g > bestCost.get(node.state.key())) continue; // Stale entry
+                nodesExpanded++;
+
+                for (let generator = 1; generator < n; generator++) {
+                    for (const sign of [1, -1]) {
+                        // Never immediately undo the previous move
+                        if (node.move && node.move.generator === generator && node.move.sign === -sign) continue;
+
+                        const state = node.state.times(generator, sign);
+                        const key = state.key();
+                        const g = node.g + 1;
+                        if (bestCost.has(key) && bestCost.get(key) <= g) continue;
+
+                        bestCost.set(key, g);
+                        queue.push({
+                            state,
+                            g,
+                            f: g + BraidSolver.heuristic(state),
+                            move: { generator, sign },
+                            parent: node
+                        });
+                    }
+                }
+            }
+
+            let solution;
+            if (goal) {
+                const moves = [];
+                for (let node = goal; node.parent; node = node.parent) {
+                    moves.push(new Crossing(node.move.generator, node.move.sign, 0));
+                }
+                solution = new BraidWord(moves.reverse(), n);
+            } else {
+                // Budget exhausted: the shorter of the two cheap inverses
+                const fromNormalForm = start.toBraidWord().inverse();
+                const fromReduction = braidWord.reduce().inverse();
+                solution = fromNormalForm.length <= fromReduction.length ? fromNormalForm : fromReduction;
+            }
+
+            return {
+                solution,
+                length: solution.length,
+                optimal: goal !== null,
+                nodesExpanded,
+                elapsedMs: Date.now() - startTime
+            };
+        }
+    }
+
+    // Export
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { BraidSolver };
+    } else {
+        window.BraidSolver = BraidSolver;
+    }
+
+})();
@@ -390,6 +390,287 @@
         }
     }
 
+    // Curve diagrams are computed in puncture units: dog k sits at
+    // (k - (n-1)/2, 0) and the disk has radius (n+1)/2. A half twist turns
+    // everything within TWIST_INNER of the pair's midpoint rigidly, easing
+    // off to nothing at TWIST_OUTER, short of the next dogs 1.5 away.
+    const TWIST_INNER = 0.75;
+    const TWIST_OUTER = 1.25;
+    const CURVE_SPACING = 0.05; // Max gap between curve samples near a twist
+    const MAX_CURVE_POINTS = 20000;
+
+    /**
+     * Turn a point by angle about (centerX, 0), fading out between the radii
+     */
+    function twistPoint(p, centerX, angle) {
+        const dx = p.x - centerX;
+        const d = Math.hypot(dx, p.y);
+        if (d >= TWIST_OUTER) return p;
+
+        const turn = d <= TWIST_INNER
+            ? angle
+            : angle * (TWIST_OUTER - d) / (TWIST_OUTER - TWIST_INNER);
+        const cos = Math.cos(turn);
+        const sin = Math.sin(turn);
+        return { x: centerX + dx * cos - p.y * sin, y: dx * sin + p.y * cos };
+    }
+
+    /**
+     * Distance from (centerX, 0) to the segment ab
+     */
+    function segmentDistance(a, b, centerX) {
+        const vx = b.x - a.x;
+        const vy = b.y - a.y;
+        const lengthSq = vx * vx + vy * vy;
+        const t = lengthSq > 0
+            ? Math.max(0, Math.min(1, ((centerX - a.x) * vx - a.y * vy) / lengthSq))
+            : 0;
+        return Math.hypot(a.x + t * vx - centerX, a.y + t * vy);
+    }
+
+    /**
+     * Resample a polyline before twisting it about centerX, halving each
+     * segment the twist would stretch past CURVE_SPACING or bend visibly,
+     * so the twisted curve stays smooth and never cuts across itself
+     */
+    function refineForTwist(points, centerX, angle) {
+        const refined = [points[0]];
+        const far = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+        const split = (a, b, ta, tb, depth) => {
+            const m = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            const tm = twistPoint(m, centerX, angle);
+            const bent = far(tm, { x: (ta.x + tb.x) / 2, y: (ta.y + tb.y) / 2 });
+            if (depth < 16 && (far(ta, tb) > CURVE_SPACING || bent > CURVE_SPACING / 10)) {
+                split(a, m, ta, tm, depth + 1);
+                split(m, b, tm, tb, depth + 1);
+            } else {
+                refined.push(b);
+            }
+        };
+
+        for (let k = 1; k < points.length; k++) {
+            const a = points[k - 1];
+            const b = points[k];
+            if (segmentDistance(a, b, centerX) < TWIST_OUTER) {
+                split(a, b, twistPoint(a, centerX, angle), twistPoint(b, centerX, angle), 0);
+            } else {
+                refined.push(b);
+            }
+        }
+        return refined;
+    }
+
+    /**
+     * CurveDiagramVisualizer - The braid as a stirring of the punctured disk
+     *
+     * Each dog is a puncture in a disk and each letter a half twist swapping
+     * two neighbouring punctures: σᵢ turns dogs i and i+1 clockwise about
+     * their midpoint, σᵢ⁻¹ anticlockwise. The curve drawn is the image of
+     * the horizontal arc through all the punctures; only the trivial braid
+     * leaves it straight. This is the picture behind Artin's action
+     * (BraidWord.artinAction) and the Dynnikov word problem engine.
+     *
+     * Shares the operation list and animation loop with BraidVisualizer;
+     * during playback each letter's twist is drawn as it happens.
+     */
+    class CurveDiagramVisualizer extends BraidVisualizer {
+        constructor(canvas, options = {}) {
+            super(canvas, options);
+            this.curve = null;   // Curve after the first curve.count letters
+            this.twisting = null; // That curve resampled for the next letter
+        }
+
+        setupCanvas() {
+            const size = this.strandSpacing * (this.numStrands + 2);
+            this.canvas.width = size;
+            this.canvas.height = size;
+            this.canvas.style.width = size + 'px';
+            this.canvas.style.height = size + 'px';
+        }
+
+        reset() {
+            this.curve = null;
+            this.twisting = null;
+            super.reset();
+        }
+
+        /**
+         * Replace the whole word
+         * @param {number[]} operations - Signed generators, e.g. [1, -2]
+         */
+        setOperations(operations) {
+            this.operations = [...operations];
+            this.currentStep = 0;
+            this.curve = null;
+            this.twisting = null;
+            this.render();
+        }
+
+        get diskRadius() {
+            return (this.numStrands + 1) / 2;
+        }
+
+        slotX(slot) {
+            return slot - (this.numStrands - 1) / 2;
+        }
+
+        /**
+         * The horizontal arc: boundary to boundary through every puncture
+         */
+        initialCurve() {
+            const points = [{ x: -this.diskRadius, y: 0 }];
+            for (let slot = 0; slot < this.numStrands; slot++) {
+                points.push({ x: this.slotX(slot), y: 0 });
+            }
+            points.push({ x: this.diskRadius, y: 0 });
+            return {
+                count: 0,
+                points,
+                order: Array.from({ length: this.numStrands }, (_, slot) => slot), // order[slot] = strand
+                tooLong: false
+            };
+        }
+
+        /**
+         * The curve after the first count letters (or as far as it stays drawable)
+         */
+        curveAfter(count) {
+            if (!this.curve || this.curve.count > count) {
+                this.curve = this.initialCurve();
+                this.twisting = null;
+            }
+            while (this.curve.count < count && !this.curve.tooLong) {
+                const twisting = this.prepareTwist();
+                if (twisting.points.length > MAX_CURVE_POINTS) {
+                    this.curve.tooLong = true;
+                    break;
+                }
+                const order = [...this.curve.order];
+                const slot = twisting.generator - 1;
+                [order[slot], order[slot + 1]] = [order[slot + 1], order[slot]];
+                this.curve = {
+                    count: this.curve.count + 1,
+                    points: twisting.points.map(p => twistPoint(p, twisting.centerX, twisting.angle)),
+                    order,
+                    tooLong: false
+                };
+            }
+            return this.curve;
+        }
+
+        /**
+         * Resample the cached curve for the letter that follows it
+         */
+        prepareTwist() {
+            if (!this.twisting || this.twisting.count !== this.curve.count) {
+                const op = this.operations[this.curve.count];
+                const generator = Math.abs(op);
+                const centerX = this.slotX(generator - 0.5);
+                const angle = op > 0 ? -Math.PI : Math.PI;
+                this.twisting = {
+                    count: this.curve.count,
+                    generator,
+                    centerX,
+                    angle,
+                    points: refineForTwist(this.curve.points, centerX, angle)
+                };
+            }
+            return this.twisting;
+        }
+
+        /**
+         * Render the disk, the curve and the dogs, mid-twist while animating
+         */
+        render() {
+            const ctx = this.ctx;
+            const width = this.canvas.width;
+            const height = this.canvas.height;
+            const scale = this.strandSpacing;
+            const toCanvas = (p) => ({ x: width / 2 + p.x * scale, y: height / 2 + 14 - p.y * scale });
+
+            ctx.fillStyle = '#2d4a3e';
+            ctx.fillRect(0, 0, width, height);
+            this.addChalkTexture();
+
+            ctx.font = '16px "Caveat", cursive';
+            ctx.fillStyle = '#f0e6d3';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.getBraidWord(true), width / 2, 25);
+
+            // Letters fully applied, and the one in progress during playback
+            const full = this.isAnimating ? Math.max(0, this.currentStep - 1) : this.operations.length;
+            const curve = this.curveAfter(full);
+            let points = curve.points;
+            let punctures = curve.order.map((strand, slot) => ({ strand, x: this.slotX(slot), y: 0 }));
+
+            if (this.isAnimating && this.currentStep > 0 && !curve.tooLong && curve.count === full) {
+                const twisting = this.prepareTwist();
+                if (twisting.points.length <= MAX_CURVE_POINTS) {
+                    const angle = twisting.angle * this.animationProgress;
+                    points = twisting.points.map(p => twistPoint(p, twisting.centerX, angle));
+                    punctures = punctures.map(p => ({ strand: p.strand, ...twistPoint(p, twisting.centerX, angle) }));
+                }
+            }
+
+            // Disk boundary
+            const center = toCanvas({ x: 0, y: 0 });
+            ctx.save();
+            ctx.strokeStyle = 'rgba(240, 230, 211, 0.5)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 6]);
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, this.diskRadius * scale, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+
+            // The curve, with a soft chalk halo
+            ctx.save();
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            for (const [style, lineWidth] of [['rgba(240, 230, 211, 0.25)', 6], ['#f0e6d3', 2]]) {
+                ctx.strokeStyle = style;
+                ctx.lineWidth = lineWidth;
+                ctx.beginPath();
+                points.forEach((p, k) => {
+                    const q = toCanvas(p);
+                    if (k === 0) ctx.moveTo(q.x, q.y);
+                    else ctx.lineTo(q.x, q.y);
+                });
+                ctx.stroke();
+            }
+            ctx.restore();
+
+            // Dogs as punctures
+            ctx.font = 'bold 12px "Courier New", monospace';
+            for (const p of punctures) {
+                const q = toCanvas(p);
+                const color = STRAND_COLORS[p.strand % 3];
+                ctx.fillStyle = color.shadow;
+                ctx.beginPath();
+                ctx.arc(q.x, q.y, 11, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = color.main;
+                ctx.beginPath();
+                ctx.arc(q.x, q.y, 9, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = '#fff';
+                ctx.fillText(String(p.strand + 1), q.x, q.y + 4);
+            }
+
+            // How much the stirring has stretched the arc
+            let length = 0;
+            for (let k = 1; k < points.length; k++) {
+                length += Math.hypot(points[k].x - points[k - 1].x, points[k].y - points[k - 1].y);
+            }
+            ctx.font = '14px "Caveat", cursive';
+            ctx.fillStyle = '#f0e6d3';
+            const note = curve.tooLong
+                ? `too long to draw past letter ${curve.count}`
+                : `arc stretched ×${(length / (2 * this.diskRadius)).toFixed(1)}`;
+            ctx.fillText(note, width / 2, height - 10);
+        }
+    }
+
     /**
      * ComparisonVisualizer - Side-by-side comparison of 2 vs 3 strands
      */
@@ -564,6 +845,107 @@
         }
     }
 
+    /**
+     * CurveDiagramDemo - A braid diagram beside its curve diagram, with the
+     * Artin images of the loops around each dog
+     */
+    class CurveDiagramDemo {
+        constructor(container) {
+            this.container = container;
+            this.setup();
+        }
+
+        setup() {
+            this.container.innerHTML = `
+                <div class="curve-diagram-demo">
+                    <h4>Stirring the Dogs: The Curve Diagram</h4>
+                    <p class="yb-subtitle">Each dog is a hole in a disk. Every crossing swaps two holes with a half turn and drags the chalk line along.</p>
+                    <div class="yb-panels">
+                        <div class="yb-panel">
+                            <h5>Braid</h5>
+                            <canvas id="curve-braid"></canvas>
+                        </div>
+                        <div class="yb-panel">
+                            <h5>Image of the horizontal arc</h5>
+                            <canvas id="curve-diagram"></canvas>
+                        </div>
+                    </div>
+                    <div class="controls">
+                        <button class="viz-btn" data-op="1">+σ₁</button>
+                        <button class="viz-btn" data-op="-1">+σ₁⁻¹</button>
+                        <button class="viz-btn" data-op="2">+σ₂</button>
+                        <button class="viz-btn" data-op="-2">+σ₂⁻¹</button>
+                        <button class="viz-btn" data-action="stir">σ₁σ₂⁻¹ × 3</button>
+                        <button class="viz-btn" data-action="play">▶ Play</button>
+                        <button class="viz-btn" data-action="reset">Reset</button>
+                    </div>
+                    <p class="viz-word">Word: <span class="word-display">ε</span></p>
+                    <div class="curve-artin"></div>
+                </div>
+            `;
+
+            this.braidViz = new BraidVisualizer(
+                document.getElementById('curve-braid'),
+                { numStrands: 3, strandSpacing: 50, crossingHeight: 60 }
+            );
+            this.curveViz = new CurveDiagramVisualizer(
+                document.getElementById('curve-diagram'),
+                { numStrands: 3, strandSpacing: 60 }
+            );
+            this.braidViz.canvas.height = this.curveViz.canvas.height;
+            this.braidViz.canvas.style.height = this.curveViz.canvas.style.height;
+
+            this.container.querySelectorAll('.viz-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => this.handleButton(e));
+            });
+            this.update();
+        }
+
+        handleButton(e) {
+            const { op, action } = e.target.dataset;
+            if (op) {
+                this.braidViz.addOperation(Number(op));
+                this.curveViz.addOperation(Number(op));
+            } else if (action === 'stir') {
+                this.setOperations([1, -2, 1, -2, 1, -2]);
+            } else if (action === 'play') {
+                this.braidViz.playAnimation(900);
+                this.curveViz.playAnimation(900);
+            } else if (action === 'reset') {
+                this.braidViz.stopAnimation();
+                this.curveViz.stopAnimation();
+                this.braidViz.reset();
+                this.curveViz.reset();
+            }
+            this.update();
+        }
+
+        setOperations(operations) {
+            this.braidViz.stopAnimation();
+            this.curveViz.stopAnimation();
+            this.braidViz.reset();
+            operations.forEach(op => this.braidViz.operations.push(op));
+            this.braidViz.render();
+            this.curveViz.setOperations(operations);
+        }
+
+        /**
+         * Word display and the images of x₁, x₂, x₃ under Artin's action
+         */
+        update() {
+            const operations = this.curveViz.operations;
+            this.container.querySelector('.word-display').textContent = this.curveViz.getBraidWord();
+
+            const images = BraidWord.parse(operations, 3).artinAction(60);
+            const lines = images
+                ? images.map((image, k) =>
+                    `x${String.fromCharCode(0x2081 + k)} ↦ ${BraidWord.formatFreeWord(image)}`)
+                : ['The loop images are over 60 letters long (most tangles stretch them exponentially).'];
+            this.container.querySelector('.curve-artin').innerHTML =
+                lines.map(line => `<p>${line}</p>`).join('');
+        }
+    }
+
     /**
      * ExplainerCard - Creates styled explanation cards
      */
@@ -589,8 +971,10 @@
     // Export to global scope
     window.BraidViz = {
         BraidVisualizer,
+        CurveDiagramVisualizer,
         ComparisonVisualizer,
         YangBaxterDemo,
+        CurveDiagramDemo,
         ExplainerCard,
         STRAND_COLORS
     };
@@ -608,6 +992,12 @@
         if (ybContainer) {
             new YangBaxterDemo(ybContainer);
         }
+
+        // Initialize curve diagram demo if container exists
+        const curveContainer = document.getElementById('curve-diagram-container');
+        if (curveContainer) {
+            new CurveDiagramDemo(curveContainer);
+        }
     });
 
 })();
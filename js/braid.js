@@ -1,11 +1,12 @@
 /**
- * Braid Theory Implementation for Three-Dog Leash Tracking
+ * Braid Theory Implementation for Multi-Dog Leash Tracking
  *
- * The braid group B₃ has two generators:
+ * The braid group Bₙ on n dogs has n-1 generators. For three dogs (B₃):
  * - σ₁: Dog B crosses over Dog A
  * - σ₂: Dog C crosses over Dog B
  *
- * With the Yang-Baxter relation: σ₁σ₂σ₁ = σ₂σ₁σ₂
+ * With the Yang-Baxter relation: σᵢσᵢ₊₁σᵢ = σᵢ₊₁σᵢσᵢ₊₁
+ * and far commutativity: σᵢσⱼ = σⱼσᵢ when |i - j| ≥ 2
  *
  * This module tracks crossings, builds braid words, and computes complexity metrics.
  */
@@ -15,7 +16,7 @@
  */
 class Crossing {
     constructor(generator, sign, timestamp) {
-        // generator: 1 for σ₁ (dogs A-B), 2 for σ₂ (dogs B-C)
+        // generator: i for σᵢ (dogs i-1 and i, e.g. 1 = A-B, 2 = B-C)
         this.generator = generator;
         // sign: 1 for over (+), -1 for under (inverse)
         this.sign = sign;
@@ -41,7 +42,7 @@ class Crossing {
      * String representation using mathematical notation
      */
     toString() {
-        const base = this.generator === 1 ? 'σ₁' : 'σ₂';
+        const base = 'σ' + toSubscript(this.generator);
         return this.sign > 0 ? base : `${base}⁻¹`;
     }
 
@@ -49,7 +50,7 @@ class Crossing {
      * Short string for display
      */
     toShortString() {
-        const base = this.generator === 1 ? 'σ1' : 'σ2';
+        const base = 'σ' + this.generator;
         return this.sign > 0 ? base : `${base}^-1`;
     }
 
@@ -57,94 +58,1814 @@ class Crossing {
      * Human-readable description
      */
     describe(dogNames = ['A', 'B', 'C']) {
-        if (this.generator === 1) {
-            return this.sign > 0
-                ? `${dogNames[1]} crosses OVER ${dogNames[0]}`
-                : `${dogNames[1]} crosses UNDER ${dogNames[0]}`;
+        const left = dogNames[this.generator - 1];
+        const right = dogNames[this.generator];
+        return this.sign > 0
+            ? `${right} crosses OVER ${left}`
+            : `${right} crosses UNDER ${left}`;
+    }
+}
+
+/**
+ * Render an integer with Unicode subscript digits
+ */
+function toSubscript(value) {
+    const digits = '₀₁₂₃₄₅₆₇₈₉';
+    return String(value).split('').map(d => digits[d]).join('');
+}
+
+/**
+ * A band generator aₜₛ of the Birman–Ko–Lee presentation: strands in
+ * positions s < t (1-based) cross once, passing in front of the strands
+ * between them. aᵢ₊₁,ᵢ is σᵢ, and in general
+ * aₜₛ = σₛ⁻¹…σₜ₋₂⁻¹ · σₜ₋₁ · σₜ₋₂…σₛ,
+ * so a crossing between any two dogs is a single letter.
+ */
+class BandGenerator {
+    constructor(top, bottom, sign, timestamp = 0) {
+        if (!(top > bottom && bottom >= 1)) {
+            throw new Error(`Invalid band generator a(${top},${bottom})`);
+        }
+        this.top = top;       // t: the higher strand position
+        this.bottom = bottom; // s: the lower strand position
+        this.sign = sign;
+        this.timestamp = timestamp;
+    }
+
+    /**
+     * The band generator for an Artin crossing σᵢ^±1
+     */
+    static fromCrossing(crossing) {
+        return new BandGenerator(crossing.generator + 1, crossing.generator, crossing.sign, crossing.timestamp);
+    }
+
+    inverse() {
+        return new BandGenerator(this.top, this.bottom, -this.sign, this.timestamp);
+    }
+
+    cancels(other) {
+        return this.top === other.top && this.bottom === other.bottom && this.sign === -other.sign;
+    }
+
+    /**
+     * The same braid in Artin generators (2(t - s) - 1 crossings)
+     */
+    toCrossings() {
+        const crossings = [];
+        for (let g = this.bottom; g < this.top - 1; g++) {
+            crossings.push(new Crossing(g, -1, this.timestamp));
+        }
+        crossings.push(new Crossing(this.top - 1, this.sign, this.timestamp));
+        for (let g = this.top - 2; g >= this.bottom; g--) {
+            crossings.push(new Crossing(g, 1, this.timestamp));
+        }
+        return crossings;
+    }
+
+    /**
+     * e.g. "a₃₁⁻¹" (a comma separates two-digit positions: "a₁₂,₃")
+     */
+    toString() {
+        const separator = this.top > 9 ? ',' : '';
+        const base = 'a' + toSubscript(this.top) + separator + toSubscript(this.bottom);
+        return this.sign > 0 ? base : `${base}⁻¹`;
+    }
+}
+
+/**
+ * A simple (permutation) braid: a positive braid in which every pair of
+ * strands crosses at most once. It is determined by the permutation it
+ * induces, stored as perm[i] = final position of the strand starting at i.
+ *
+ * These are the letters of the Garside normal form.
+ */
+class PermutationBraid {
+    constructor(perm) {
+        this.perm = perm;
+    }
+
+    static identity(numStrands) {
+        return new PermutationBraid(Array.from({ length: numStrands }, (_, i) => i));
+    }
+
+    /**
+     * The half twist Δ: every pair of strands crosses exactly once
+     */
+    static delta(numStrands) {
+        return new PermutationBraid(Array.from({ length: numStrands }, (_, i) => numStrands - 1 - i));
+    }
+
+    /**
+     * The generator σᵢ (swaps positions i-1 and i)
+     */
+    static generator(i, numStrands) {
+        const perm = Array.from({ length: numStrands }, (_, k) => k);
+        perm[i - 1] = i;
+        perm[i] = i - 1;
+        return new PermutationBraid(perm);
+    }
+
+    get numStrands() {
+        return this.perm.length;
+    }
+
+    get isIdentity() {
+        return this.perm.every((p, i) => p === i);
+    }
+
+    get isDelta() {
+        const n = this.perm.length;
+        return this.perm.every((p, i) => p === n - 1 - i);
+    }
+
+    /**
+     * Number of crossings (inversions of the permutation)
+     */
+    get length() {
+        let count = 0;
+        for (let i = 0; i < this.perm.length; i++) {
+            for (let j = i + 1; j < this.perm.length; j++) {
+                if (this.perm[i] > this.perm[j]) count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Inverse permutation: inv[j] = starting position of the strand ending at j
+     */
+    get inversePerm() {
+        const inv = new Array(this.perm.length);
+        this.perm.forEach((p, i) => { inv[p] = i; });
+        return inv;
+    }
+
+    /**
+     * This braid followed by another (as permutations)
+     */
+    then(other) {
+        return new PermutationBraid(this.perm.map(p => other.perm[p]));
+    }
+
+    /**
+     * Can the braid be written starting with σᵢ?
+     * True when the strands starting at i-1 and i cross.
+     */
+    startsWith(i) {
+        return this.perm[i - 1] > this.perm[i];
+    }
+
+    /**
+     * Can the braid be written ending with σᵢ?
+     * True when the strands ending at i-1 and i cross.
+     */
+    endsWith(i) {
+        const inv = this.inversePerm;
+        return inv[i - 1] > inv[i];
+    }
+
+    /**
+     * Conjugate by Δ: σᵢ ↦ σₙ₋ᵢ
+     */
+    flip() {
+        const n = this.perm.length;
+        const perm = new Array(n);
+        for (let i = 0; i < n; i++) {
+            perm[i] = n - 1 - this.perm[n - 1 - i];
+        }
+        return new PermutationBraid(perm);
+    }
+
+    /**
+     * The simple braid X with X·this = Δ
+     */
+    leftComplement() {
+        const n = this.perm.length;
+        const inv = this.inversePerm;
+        return new PermutationBraid(Array.from({ length: n }, (_, k) => inv[n - 1 - k]));
+    }
+
+    equals(other) {
+        return this.perm.length === other.perm.length &&
+            this.perm.every((p, i) => p === other.perm[i]);
+    }
+
+    /**
+     * Expand into a positive word of crossings
+     */
+    toCrossings(timestamp = 0) {
+        const crossings = [];
+        let current = this;
+        while (!current.isIdentity) {
+            let i = 1;
+            while (!current.startsWith(i)) i++;
+            crossings.push(new Crossing(i, 1, timestamp));
+            current = PermutationBraid.generator(i, current.numStrands).then(current);
+        }
+        return crossings;
+    }
+
+    /**
+     * Make the pair (a, b) left-weighted without changing the product a·b:
+     * slide every σᵢ that b can start with but a cannot end with across.
+     */
+    static leftWeight(a, b) {
+        const n = a.numStrands;
+        const aPerm = [...a.perm];
+        const aInv = a.inversePerm;
+        const bPerm = [...b.perm];
+        let moved = true;
+        while (moved) {
+            moved = false;
+            for (let i = 1; i < n; i++) {
+                // b starts with σᵢ but a does not end with it
+                if (bPerm[i - 1] > bPerm[i] && aInv[i - 1] < aInv[i]) {
+                    // a·σᵢ swaps the strands ending at i-1 and i; σᵢ⁻¹·b swaps its first two slots
+                    [aInv[i - 1], aInv[i]] = [aInv[i], aInv[i - 1]];
+                    aPerm[aInv[i - 1]] = i - 1;
+                    aPerm[aInv[i]] = i;
+                    [bPerm[i - 1], bPerm[i]] = [bPerm[i], bPerm[i - 1]];
+                    moved = true;
+                }
+            }
+        }
+        return [new PermutationBraid(aPerm), new PermutationBraid(bPerm)];
+    }
+}
+
+/**
+ * Garside (left) normal form: Δᵖ·A₁·A₂·…·Aᵣ where each Aᵢ is a simple braid
+ * other than e and Δ, and every pair (Aᵢ, Aᵢ₊₁) is left-weighted.
+ * Two braids are equal exactly when their normal forms are identical.
+ */
+class GarsideNormalForm {
+    constructor(numStrands, power, factors) {
+        this.numStrands = numStrands;
+        this.power = power;
+        this.factors = factors;
+    }
+
+    /**
+     * Largest k with Δᵏ ≼ braid
+     */
+    get inf() {
+        return this.power;
+    }
+
+    /**
+     * Smallest k with braid ≼ Δᵏ
+     */
+    get sup() {
+        return this.power + this.factors.length;
+    }
+
+    get canonicalLength() {
+        return this.factors.length;
+    }
+
+    get isTrivial() {
+        return this.power === 0 && this.factors.length === 0;
+    }
+
+    /**
+     * Signed crossing count, the same for every word of this braid
+     */
+    get exponentSum() {
+        const deltaLength = this.numStrands * (this.numStrands - 1) / 2;
+        return this.power * deltaLength + this.factors.reduce((sum, f) => sum + f.length, 0);
+    }
+
+    /**
+     * Normal form of this braid followed by σᵢ^sign
+     * @returns {GarsideNormalForm} A new normal form (this one is unchanged)
+     */
+    times(generator, sign) {
+        let simple = PermutationBraid.generator(generator, this.numStrands);
+        let factors = this.factors;
+        let power = this.power;
+
+        if (sign < 0) {
+            // σᵢ⁻¹ = Δ⁻¹·(Δσᵢ⁻¹), and the Δ⁻¹ flips every factor it passes
+            simple = simple.leftComplement();
+            factors = factors.map(f => f.flip());
+            power--;
+        }
+
+        factors = [...factors];
+        GarsideNormalForm.appendFactor(factors, simple);
+        return GarsideNormalForm.fromFactors(this.numStrands, power, factors);
+    }
+
+    /**
+     * String key for hashing normal forms
+     */
+    key() {
+        return this.power + ':' + this.factors.map(f => f.perm.join('')).join('|');
+    }
+
+    /**
+     * Append a simple factor to a left-weighted list in place,
+     * sliding crossings leftward until every pair is left-weighted again
+     */
+    static appendFactor(factors, simple) {
+        factors.push(simple);
+        for (let k = factors.length - 2; k >= 0; k--) {
+            const [left, right] = PermutationBraid.leftWeight(factors[k], factors[k + 1]);
+            if (left.equals(factors[k])) break;
+            factors[k] = left;
+            factors[k + 1] = right;
+        }
+    }
+
+    /**
+     * Build a normal form from a left-weighted list: leading Δ factors join
+     * the power and identity factors drop out
+     */
+    static fromFactors(numStrands, power, factors) {
+        let start = 0;
+        while (start < factors.length && factors[start].isDelta) start++;
+        const remaining = factors.slice(start).filter(f => !f.isIdentity);
+        return new GarsideNormalForm(numStrands, power + start, remaining);
+    }
+
+    equals(other) {
+        return this.numStrands === other.numStrands &&
+            this.power === other.power &&
+            this.factors.length === other.factors.length &&
+            this.factors.every((f, i) => f.equals(other.factors[i]));
+    }
+
+    /**
+     * Expand back into a braid word
+     */
+    toBraidWord() {
+        const deltaWord = PermutationBraid.delta(this.numStrands).toCrossings();
+        const crossings = [];
+
+        if (this.power >= 0) {
+            for (let k = 0; k < this.power; k++) crossings.push(...deltaWord);
         } else {
-            return this.sign > 0
-                ? `${dogNames[2]} crosses OVER ${dogNames[1]}`
-                : `${dogNames[2]} crosses UNDER ${dogNames[1]}`;
+            const inverseDelta = deltaWord.slice().reverse().map(c => c.inverse());
+            for (let k = 0; k < -this.power; k++) crossings.push(...inverseDelta);
+        }
+
+        for (const factor of this.factors) {
+            crossings.push(...factor.toCrossings());
+        }
+
+        return new BraidWord(crossings, this.numStrands);
+    }
+
+    /**
+     * e.g. "Δ⁻¹·[σ₁σ₂]·[σ₂]"
+     */
+    toString() {
+        if (this.isTrivial) return 'ε';
+
+        const parts = [];
+        if (this.power !== 0) {
+            parts.push(this.power === 1 ? 'Δ' : 'Δ' + toSuperscript(this.power));
         }
+        for (const factor of this.factors) {
+            parts.push('[' + factor.toCrossings().map(c => c.toString()).join('') + ']');
+        }
+        return parts.join('·');
     }
 }
 
 /**
- * A braid word is a sequence of crossings
+ * Render an integer with Unicode superscript digits
  */
-class BraidWord {
-    constructor(crossings = []) {
-        this.crossings = [...crossings];
+function toSuperscript(value) {
+    const digits = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+    const sign = value < 0 ? '⁻' : '';
+    return sign + String(Math.abs(value)).split('').map(d => digits[d]).join('');
+}
+
+/**
+ * Laurent polynomial in one variable with exact (BigInt) coefficients
+ * coeffs[k] is the coefficient of t^(low + k)
+ */
+class LaurentPolynomial {
+    constructor(coeffs = [], low = 0) {
+        // Trim zero coefficients from both ends
+        let start = 0;
+        let end = coeffs.length;
+        while (start < end && coeffs[start] === 0n) start++;
+        while (end > start && coeffs[end - 1] === 0n) end--;
+        this.coeffs = coeffs.slice(start, end);
+        this.low = this.coeffs.length > 0 ? low + start : 0;
+    }
+
+    static zero() {
+        return new LaurentPolynomial();
+    }
+
+    static one() {
+        return new LaurentPolynomial([1n]);
+    }
+
+    /**
+     * c·tᵈ
+     */
+    static monomial(coeff, degree = 0) {
+        return new LaurentPolynomial([BigInt(coeff)], degree);
+    }
+
+    /**
+     * Build from {degree: coefficient} pairs, e.g. {1: -1, 0: 1} = 1 - t
+     */
+    static fromTerms(terms) {
+        const degrees = Object.keys(terms).map(Number);
+        if (degrees.length === 0) return LaurentPolynomial.zero();
+        const low = Math.min(...degrees);
+        const coeffs = new Array(Math.max(...degrees) - low + 1).fill(0n);
+        for (const d of degrees) coeffs[d - low] = BigInt(terms[d]);
+        return new LaurentPolynomial(coeffs, low);
+    }
+
+    get isZero() {
+        return this.coeffs.length === 0;
+    }
+
+    /**
+     * Highest exponent (lowest is this.low)
+     */
+    get degree() {
+        return this.low + this.coeffs.length - 1;
+    }
+
+    coefficient(degree) {
+        return this.coeffs[degree - this.low] || 0n;
+    }
+
+    add(other) {
+        if (this.isZero) return other;
+        if (other.isZero) return this;
+        const low = Math.min(this.low, other.low);
+        const high = Math.max(this.degree, other.degree);
+        const coeffs = new Array(high - low + 1).fill(0n);
+        this.coeffs.forEach((c, k) => { coeffs[this.low + k - low] += c; });
+        other.coeffs.forEach((c, k) => { coeffs[other.low + k - low] += c; });
+        return new LaurentPolynomial(coeffs, low);
+    }
+
+    neg() {
+        return new LaurentPolynomial(this.coeffs.map(c => -c), this.low);
     }
 
-    /**
-     * Add a crossing to the word
-     */
-    append(crossing) {
-        this.crossings.push(crossing);
-        return this;
+    sub(other) {
+        return this.add(other.neg());
+    }
+
+    mul(other) {
+        if (this.isZero || other.isZero) return LaurentPolynomial.zero();
+        const coeffs = new Array(this.coeffs.length + other.coeffs.length - 1).fill(0n);
+        this.coeffs.forEach((a, i) => {
+            if (a === 0n) return;
+            other.coeffs.forEach((b, j) => { coeffs[i + j] += a * b; });
+        });
+        return new LaurentPolynomial(coeffs, this.low + other.low);
+    }
+
+    /**
+     * Multiply by tᵏ
+     */
+    shift(k) {
+        return new LaurentPolynomial(this.coeffs, this.low + k);
+    }
+
+    equals(other) {
+        return this.low === other.low &&
+            this.coeffs.length === other.coeffs.length &&
+            this.coeffs.every((c, k) => c === other.coeffs[k]);
+    }
+
+    /**
+     * Polynomial long division (exact over the integers)
+     * @returns {{quotient: LaurentPolynomial, remainder: LaurentPolynomial}}
+     */
+    divide(divisor) {
+        if (divisor.isZero) {
+            throw new Error('Division by zero polynomial');
+        }
+        const lead = divisor.coeffs[divisor.coeffs.length - 1];
+        const span = divisor.coeffs.length - 1;
+        const quotient = new Array(Math.max(this.coeffs.length - span, 0)).fill(0n);
+        const rest = [...this.coeffs];
+
+        // Work on ordinary polynomials (shifted to start at t⁰), highest degree first
+        for (let k = rest.length - 1; k >= span; k--) {
+            if (rest[k] === 0n) continue;
+            if (rest[k] % lead !== 0n) {
+                throw new Error('Polynomial division is not exact over the integers');
+            }
+            const q = rest[k] / lead;
+            quotient[k - span] = q;
+            divisor.coeffs.forEach((c, j) => { rest[k - span + j] -= q * c; });
+        }
+
+        return {
+            quotient: new LaurentPolynomial(quotient, this.low - divisor.low),
+            remainder: new LaurentPolynomial(rest, this.low)
+        };
+    }
+
+    /**
+     * Determinant of a square matrix of polynomials (fraction-free Bareiss elimination)
+     */
+    static determinant(matrix) {
+        const size = matrix.length;
+        if (size === 0) return LaurentPolynomial.one();
+        const m = matrix.map(row => [...row]);
+        let previous = LaurentPolynomial.one();
+        let negate = false;
+
+        for (let k = 0; k < size - 1; k++) {
+            // Swap in a non-zero pivot
+            if (m[k][k].isZero) {
+                const swap = m.findIndex((row, i) => i > k && !row[k].isZero);
+                if (swap === -1) return LaurentPolynomial.zero();
+                [m[k], m[swap]] = [m[swap], m[k]];
+                negate = !negate;
+            }
+            for (let i = k + 1; i < size; i++) {
+                for (let j = k + 1; j < size; j++) {
+                    m[i][j] = m[i][j].mul(m[k][k]).sub(m[i][k].mul(m[k][j])).divide(previous).quotient;
+                }
+            }
+            previous = m[k][k];
+        }
+
+        const det = m[size - 1][size - 1];
+        return negate ? det.neg() : det;
+    }
+
+    /**
+     * Numeric value at t = x (loses precision for huge coefficients)
+     */
+    evaluate(x) {
+        let value = 0;
+        for (let k = this.coeffs.length - 1; k >= 0; k--) {
+            value = value * x + Number(this.coeffs[k]);
+        }
+        return value * Math.pow(x, this.low);
+    }
+
+    /**
+     * e.g. "-t² + 1 - t⁻¹" (highest degree first)
+     * @param {string} variable
+     * @param {number} denominator - Print exponent d as d/denominator, for
+     *                               polynomials in a root of the variable
+     */
+    toString(variable = 't', denominator = 1) {
+        if (this.isZero) return '0';
+        const terms = [];
+        for (let k = this.coeffs.length - 1; k >= 0; k--) {
+            const c = this.coeffs[k];
+            if (c === 0n) continue;
+            const d = this.low + k;
+            const abs = c < 0n ? -c : c;
+            let body;
+            if (d === 0) {
+                body = String(abs);
+            } else {
+                const exponent = d % denominator === 0
+                    ? toSuperscript(d / denominator)
+                    : toSuperscript(d) + 'ᐟ' + toSuperscript(denominator);
+                const power = d === denominator ? variable : variable + exponent;
+                body = abs === 1n ? power : abs + power;
+            }
+            if (terms.length === 0) {
+                terms.push(c < 0n ? '-' + body : body);
+            } else {
+                terms.push(c < 0n ? '- ' + body : '+ ' + body);
+            }
+        }
+        return terms.join(' ');
+    }
+}
+
+/**
+ * A Temperley–Lieb diagram on n strands: a planar perfect matching of n top
+ * points (0..n-1) and n bottom points (n..2n-1). Used to evaluate the
+ * Kauffman bracket of a braid closure one crossing at a time.
+ */
+class TemperleyLiebDiagram {
+    constructor(pairs) {
+        this.pairs = pairs; // pairs[p] = point matched with p
+    }
+
+    static identity(n) {
+        return new TemperleyLiebDiagram(
+            Array.from({ length: 2 * n }, (_, p) => p < n ? p + n : p - n)
+        );
+    }
+
+    get numStrands() {
+        return this.pairs.length / 2;
+    }
+
+    /**
+     * Stack the cup-cap Eᵢ underneath this diagram
+     * @returns {{diagram: TemperleyLiebDiagram, loops: number}} loops = closed circles created
+     */
+    withCupCap(generator) {
+        const n = this.numStrands;
+        const a = n + generator - 1;
+        const b = n + generator;
+        const pairs = [...this.pairs];
+
+        if (pairs[a] === b) {
+            return { diagram: this, loops: 1 };
+        }
+
+        // The cap joins the arcs ending at a and b; a fresh cup takes their place
+        const x = pairs[a];
+        const y = pairs[b];
+        pairs[x] = y;
+        pairs[y] = x;
+        pairs[a] = b;
+        pairs[b] = a;
+        return { diagram: new TemperleyLiebDiagram(pairs), loops: 0 };
+    }
+
+    /**
+     * Number of circles in the trace closure (top point i joined to bottom point i)
+     */
+    closureLoops() {
+        const n = this.numStrands;
+        const seen = new Array(2 * n).fill(false);
+        let loops = 0;
+
+        for (let start = 0; start < n; start++) {
+            if (seen[start]) continue;
+            loops++;
+            let p = start;
+            while (!seen[p]) {
+                seen[p] = true;
+                const q = this.pairs[p];
+                seen[q] = true;
+                p = q < n ? q + n : q - n; // Follow the closing arc
+            }
+        }
+
+        return loops;
+    }
+
+    key() {
+        return this.pairs.join(',');
+    }
+}
+
+/**
+ * Dynnikov coordinates of an integer lamination in a punctured disk
+ *
+ * The braid group acts on curve systems in the disk, and Dynnikov's
+ * coordinates (a₁, b₁, …, aₙ, bₙ) record a curve system by how often it
+ * crosses a fixed set of arcs. Each σᵢ^±1 updates four coordinates with a
+ * piecewise-linear formula, so a word costs O(length) operations on
+ * integers whose size grows at most linearly in bits (BigInt). The disk
+ * has two extra punctures outside the braid's strands, which makes the
+ * action faithful: a braid is trivial exactly when it fixes the standard
+ * lamination (0, 1, …, 0, 1). See Dehornoy, Dynnikov, Rolfsen & Wiest,
+ * "Ordering Braids", chapter XII.
+ */
+class DynnikovCoordinates {
+    constructor(a, b) {
+        this.a = a; // BigInt[]: one pair (aᵢ, bᵢ) per strand
+        this.b = b;
+    }
+
+    /**
+     * The standard lamination, fixed only by the trivial braid
+     */
+    static trivial(numStrands) {
+        return new DynnikovCoordinates(new Array(numStrands).fill(0n), new Array(numStrands).fill(1n));
+    }
+
+    /**
+     * Image of the standard lamination under a braid word
+     */
+    static ofWord(crossings, numStrands) {
+        const coordinates = DynnikovCoordinates.trivial(numStrands);
+        for (const c of crossings) coordinates.apply(c.generator, c.sign);
+        return coordinates;
+    }
+
+    get numStrands() {
+        return this.a.length;
+    }
+
+    /**
+     * Act by σᵢ^sign in place
+     */
+    apply(generator, sign) {
+        const pos = (x) => x > 0n ? x : 0n;
+        const neg = (x) => x < 0n ? x : 0n;
+        const j = generator - 1;
+        const k = generator;
+        const [a1, b1, a2, b2] = [this.a[j], this.b[j], this.a[k], this.b[k]];
+
+        if (sign > 0) {
+            const e = a1 - neg(b1) - a2 + pos(b2);
+            this.a[j] = a1 + pos(b1) + pos(pos(b2) - e);
+            this.b[j] = b2 - pos(e);
+            this.a[k] = a2 + neg(b2) + neg(neg(b1) + e);
+            this.b[k] = b1 + pos(e);
+        } else {
+            const f = a1 + neg(b1) - a2 - pos(b2);
+            this.a[j] = a1 - pos(b1) - pos(pos(b2) + f);
+            this.b[j] = b2 + neg(f);
+            this.a[k] = a2 - neg(b2) - neg(neg(b1) - f);
+            this.b[k] = b1 - neg(f);
+        }
+        return this;
+    }
+
+    get isTrivial() {
+        return this.a.every(x => x === 0n) && this.b.every(x => x === 1n);
+    }
+
+    equals(other) {
+        return this.numStrands === other.numStrands &&
+            this.a.every((x, i) => x === other.a[i]) &&
+            this.b.every((x, i) => x === other.b[i]);
+    }
+
+    clone() {
+        return new DynnikovCoordinates([...this.a], [...this.b]);
+    }
+
+    /**
+     * e.g. "(0, 1; 2, -1; 0, 1)"
+     */
+    toString() {
+        return '(' + this.a.map((x, i) => `${x}, ${this.b[i]}`).join('; ') + ')';
+    }
+}
+
+/**
+ * Braid invariants kept up to date one crossing at a time
+ *
+ * A tracked walk can run for hours, so its word grows without bound. Each
+ * append() updates the free reduction (a stack), the writhe, the strand
+ * permutation and the signed crossing count of each pair of strands in O(1), and the Garside normal form with a left-weighting
+ * sweep that only runs back as far as crossings actually slide (a few
+ * factors on real walks). inf, sup and the identity test read straight off
+ * the result.
+ *
+ * The normal form uses x·σᵢ⁻¹ = Δ⁻¹·τ(x)·(Δσᵢ⁻¹), where τ is conjugation by
+ * Δ. Rather than flip every factor on each inverse letter, the factors are
+ * stored up to τ with a parity bit; flipping commutes with left-weighting,
+ * so appending works on the stored factors directly. The same bit lets a Δ
+ * that forms near the end jump to the front (A₁…Aₖ·Δ = Δ·τ(A₁)…τ(Aₖ))
+ * instead of being swapped past every factor, which is where a plain
+ * left-weighting sweep spends nearly all its time on long walks.
+ */
+class IncrementalBraidState {
+    constructor(numStrands) {
+        this.numStrands = numStrands;
+        this.length = 0;
+        this.writhe = 0;
+        this.reduced = []; // Freely reduced word, cancelled from the top
+        this.order = Array.from({ length: numStrands }, (_, i) => i); // order[position] = starting strand
+        // pairCrossings[a][b] = signed crossings between the strands starting at a and b
+        this.pairCrossings = Array.from({ length: numStrands }, () => new Array(numStrands).fill(0));
+
+        this.power = 0;
+        this.factors = []; // Simple factors, each stored as τ^flipped of the real one
+        this.flipped = false;
+        this.normalFormCache = null;
+    }
+
+    /**
+     * Update every invariant for one more crossing
+     */
+    push(crossing) {
+        const i = crossing.generator;
+        this.length++;
+        this.writhe += crossing.sign;
+
+        const top = this.reduced[this.reduced.length - 1];
+        if (top && top.cancels(crossing)) {
+            this.reduced.pop();
+        } else {
+            this.reduced.push(crossing);
+        }
+
+        const a = this.order[i - 1];
+        const b = this.order[i];
+        this.pairCrossings[a][b] += crossing.sign;
+        this.pairCrossings[b][a] += crossing.sign;
+        this.order[i - 1] = b;
+        this.order[i] = a;
+
+        let simple = PermutationBraid.generator(i, this.numStrands);
+        if (crossing.sign < 0) {
+            simple = simple.leftComplement();
+            this.power--;
+            this.flipped = !this.flipped;
+        }
+        if (this.flipped) simple = simple.flip();
+        this.appendFactor(simple);
+        this.normalFormCache = null;
+    }
+
+    /**
+     * Right-multiply by a simple braid (in the stored frame), keeping the
+     * factors left-weighted with no Δ or identity among them
+     */
+    appendFactor(simple) {
+        const factors = this.factors;
+        if (simple.isIdentity) return;
+        if (simple.isDelta) {
+            this.moveDeltaToFront(factors.length);
+            return;
+        }
+
+        factors.push(simple);
+        for (let k = factors.length - 2; k >= 0; k--) {
+            const [left, right] = PermutationBraid.leftWeight(factors[k], factors[k + 1]);
+            if (left.equals(factors[k])) break;
+            factors[k] = left;
+            factors[k + 1] = right;
+            if (left.isDelta) {
+                factors.splice(k, 1);
+                this.moveDeltaToFront(k);
+                break;
+            }
+        }
+        // Only the last factor can have been emptied
+        if (factors.length > 0 && factors[factors.length - 1].isIdentity) factors.pop();
+    }
+
+    /**
+     * Account for a Δ just removed from before factors[index]: it joins the
+     * power and flips everything to its left, i.e. flip all and unflip the rest
+     */
+    moveDeltaToFront(index) {
+        this.power++;
+        this.flipped = !this.flipped;
+        for (let k = index; k < this.factors.length; k++) {
+            this.factors[k] = this.factors[k].flip();
+        }
+    }
+
+    get inf() {
+        return this.power;
+    }
+
+    get sup() {
+        return this.power + this.canonicalLength;
+    }
+
+    get canonicalLength() {
+        return this.factors.length;
+    }
+
+    get isTrivial() {
+        return this.power === 0 && this.factors.length === 0;
+    }
+
+    /**
+     * perm[i] = final position of the strand starting at position i
+     */
+    get permutation() {
+        const perm = new Array(this.numStrands);
+        this.order.forEach((strand, position) => { perm[strand] = position; });
+        return perm;
+    }
+
+    /**
+     * The normal form itself, built on demand and kept until the next crossing
+     * @returns {GarsideNormalForm}
+     */
+    normalForm() {
+        if (!this.normalFormCache) {
+            this.normalFormCache = new GarsideNormalForm(
+                this.numStrands,
+                this.power,
+                this.flipped ? this.factors.map(f => f.flip()) : [...this.factors]
+            );
+        }
+        return this.normalFormCache;
+    }
+}
+
+/**
+ * Ways BraidWord can decide whether two words give the same braid
+ */
+const WORD_PROBLEM_ENGINES = ['garside', 'dynnikov'];
+
+/**
+ * A braid word is a sequence of crossings
+ */
+class BraidWord {
+    /**
+     * @param {Crossing[]} crossings
+     * @param {number} numStrands - Strands in the braid group (grown to fit the largest generator)
+     */
+    constructor(crossings = [], numStrands = 3) {
+        this.crossings = [...crossings];
+        this.numStrands = this.crossings.reduce((n, c) => Math.max(n, c.generator + 1), numStrands);
+        this.version = 0; // Bumped on every change, for caches keyed on the word
+        this.state = null; // IncrementalBraidState, built on first use
+        this.dynnikov = null; // DynnikovCoordinates, built on first use
+
+        // Word problem engine behind isTrivial and equals() (see WORD_PROBLEM_ENGINES)
+        this.engine = 'garside';
+    }
+
+    /**
+     * Add a crossing to the word
+     */
+    append(crossing) {
+        this.crossings.push(crossing);
+        this.version++;
+        if (crossing.generator + 1 > this.numStrands) {
+            this.numStrands = crossing.generator + 1;
+            this.state = null;
+            this.dynnikov = null;
+        } else {
+            if (this.state) this.state.push(crossing);
+            if (this.dynnikov) this.dynnikov.apply(crossing.generator, crossing.sign);
+        }
+        return this;
+    }
+
+    /**
+     * Choose how isTrivial and equals() decide the word problem:
+     * 'garside' (normal form) or 'dynnikov' (lamination coordinates)
+     */
+    setEngine(engine) {
+        if (!WORD_PROBLEM_ENGINES.includes(engine)) {
+            throw new Error(`Unknown word problem engine: ${engine}`);
+        }
+        this.engine = engine;
+        return this;
+    }
+
+    /**
+     * Dynnikov coordinates of the braid's image of the standard lamination,
+     * kept up to date as crossings are appended
+     * @returns {DynnikovCoordinates}
+     */
+    dynnikovCoordinates() {
+        if (!this.dynnikov) {
+            this.dynnikov = DynnikovCoordinates.ofWord(this.crossings, this.numStrands);
+        }
+        return this.dynnikov;
+    }
+
+    /**
+     * Invariants that follow the word as it grows (see IncrementalBraidState)
+     * @returns {IncrementalBraidState}
+     */
+    get incremental() {
+        if (!this.state) {
+            this.state = new IncrementalBraidState(this.numStrands);
+            for (const c of this.crossings) this.state.push(c);
+        }
+        return this.state;
+    }
+
+    /**
+     * Length of the word after cancelling adjacent inverse pairs
+     */
+    get freeReducedLength() {
+        return this.incremental.reduced.length;
+    }
+
+    /**
+     * Get the length (number of generators)
+     */
+    get length() {
+        return this.crossings.length;
+    }
+
+    /**
+     * Check if the braid is trivial (identity)
+     * Decided by the Garside normal form, so words like σ₁σ₂σ₁σ₂⁻¹σ₁⁻¹σ₂⁻¹
+     * are recognised even though they do not freely reduce.
+     */
+    get isTrivial() {
+        if (this.crossings.length === 0) return true;
+        if (this.engine === 'dynnikov') return this.dynnikovCoordinates().isTrivial;
+        return this.incremental.isTrivial;
+    }
+
+    /**
+     * Calculate the writhe (signed sum of crossings)
+     * Positive crossings contribute +1, negative contribute -1
+     */
+    get writhe() {
+        if (this.state) return this.state.writhe;
+        return this.crossings.reduce((sum, c) => sum + c.sign, 0);
+    }
+
+    /**
+     * Calculate complexity metric
+     * Simple version: absolute writhe + word length penalty
+     * (see braid-metrics.js for Garside length, minimal crossings and entropy)
+     */
+    get complexity() {
+        const absWrithe = Math.abs(this.writhe);
+        // Word length matters more when writhe is low
+        // (could be many crossings that mostly cancel)
+        return absWrithe + Math.floor(this.length / 2);
+    }
+
+    /**
+     * Get string representation
+     */
+    toString() {
+        if (this.crossings.length === 0) return 'ε'; // Identity
+        return this.crossings.map(c => c.toString()).join('·');
+    }
+
+    /**
+     * Get shortened string for display (last N crossings)
+     */
+    toDisplayString(maxLength = 8) {
+        return BraidWord.displayString(this.crossings, maxLength);
+    }
+
+    /**
+     * The free reduction in the same shortened form, without copying the word
+     */
+    freeReducedDisplayString(maxLength = 8) {
+        return BraidWord.displayString(this.incremental.reduced, maxLength);
+    }
+
+    static displayString(crossings, maxLength) {
+        if (crossings.length === 0) return 'ε';
+        if (crossings.length <= maxLength) {
+            return crossings.map(c => c.toString()).join('·');
+        }
+        const lastN = crossings.slice(-maxLength);
+        return '...' + lastN.map(c => c.toString()).join('·');
+    }
+
+    /**
+     * ASCII form with Crossing.toShortString, e.g. "σ1 σ2^-1"
+     */
+    toShortString() {
+        if (this.crossings.length === 0) return 'ε';
+        return this.crossings.map(c => c.toShortString()).join(' ');
+    }
+
+    /**
+     * Plain ASCII form, e.g. "s1 s2^-1" (the empty string for the identity)
+     */
+    toAsciiString() {
+        if (this.crossings.length === 0) return '';
+        return this.crossings.map(c => 's' + c.generator + (c.sign > 0 ? '' : '^-1')).join(' ');
+    }
+
+    /**
+     * Artin letter form: a = σ₁, b = σ₂, …, capitals for inverses, e.g. "aBab"
+     * (the empty string for the identity; see BraidWord.ARTIN_LETTERS)
+     */
+    toArtinString() {
+        return this.crossings.map(c => {
+            if (c.generator > BraidWord.ARTIN_LETTERS.length) {
+                throw new Error(`σ${c.generator} has no Artin letter`);
+            }
+            const letter = BraidWord.ARTIN_LETTERS[c.generator - 1];
+            return c.sign > 0 ? letter : letter.toUpperCase();
+        }).join('');
+    }
+
+    /**
+     * Integer form: σᵢ ↦ i, σᵢ⁻¹ ↦ -i
+     */
+    toArray() {
+        return this.crossings.map(c => c.generator * c.sign);
+    }
+
+    /**
+     * Read a braid word from any of the notations the printers produce
+     *
+     * - Unicode: "σ₁σ₂⁻¹", "σ₁·σ₂⁻¹", "σ₁³", also Garside forms like "Δ⁻¹·[σ₁σ₂]"
+     * - ASCII: "s1 s2^-1", "σ1^-1", "s_{1}^{-1}", "s1^3"
+     * - Integers: [1, -2, 1] as an array or a string ("1 -2 1", "{1,-2,1}")
+     * - Artin letters: "aBab" (a = σ₁, A = σ₁⁻¹, b = σ₂, … up to l = σ₁₂)
+     * - The identity: "", "ε", "()"
+     *
+     * Δ and ε are read before letters, so "Delta" is Δ, and an integer
+     * string like "1" is σ₁. Anything else, including letters past
+     * BraidWord.ARTIN_LETTERS, is an error.
+     *
+     * @param {string|number[]} input
+     * @param {number} numStrands - Minimum strand count (otherwise the
+     *        largest generator decides); also sizes Δ
+     * @returns {BraidWord}
+     */
+    static parse(input, numStrands = 0) {
+        const generators = [];
+        let deltaPowers = [];
+
+        const fail = (position, text) => {
+            throw new Error(`Cannot parse braid word at position ${position}: "${text.slice(position, position + 10)}"`);
+        };
+        const fromDigits = (text) => Number(text.replace(/[₀-₉]/g, d => d.charCodeAt(0) - 0x2080));
+        const fromSuperscript = (text) => {
+            const digits = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+            const value = Number(text.replace(/[⁺⁻]/g, '').split('').map(d => digits.indexOf(d)).join(''));
+            return text.startsWith('⁻') ? -value : value;
+        };
+
+        if (Array.isArray(input)) {
+            for (const value of input) {
+                if (!Number.isInteger(value) || value === 0) {
+                    throw new Error(`Invalid generator in braid array: ${value}`);
+                }
+                generators.push(value);
+            }
+        } else {
+            const text = String(input).trim();
+            if (/\.\.\.|…/.test(text)) {
+                throw new Error('Braid word is truncated ("..."); copy the full word instead');
+            }
+
+            if (/^ε?(\s*\(identity\))?$/.test(text) || /^[[{(]\s*[\]})]$/.test(text)) {
+                // Identity
+            } else if (/^[[{(]?\s*-?\d+(\s*[,;\s]\s*-?\d+)*\s*[\]})]?$/.test(text)) {
+                for (const value of text.match(/-?\d+/g)) {
+                    if (Number(value) === 0) fail(text.indexOf(value), text);
+                    generators.push(Number(value));
+                }
+            } else {
+                const deltaPattern = /^(?:Δ|Delta)/;
+                const generatorPattern = /^(?:σ|sigma|s|S)_?\{?(\d+|[₀-₉]+)\}?/;
+                const letterPattern = /^[a-zA-Z]/;
+                const exponentPattern = /^(?:\^\{?\(?([+-]?\d+)\)?\}?|([⁺⁻]?[⁰¹²³⁴⁵⁶⁷⁸⁹]+))/;
+                let i = 0;
+
+                while (i < text.length) {
+                    if (/[\s·*.,[\]]/.test(text[i])) {
+                        i++;
+                        continue;
+                    }
+
+                    const rest = text.slice(i);
+                    if (rest[0] === 'ε') {
+                        i++;
+                        continue;
+                    }
+
+                    let generator = 0;
+                    let match = rest.match(deltaPattern);
+                    if (!match) {
+                        match = rest.match(generatorPattern);
+                        if (match) {
+                            generator = fromDigits(match[1]);
+                            if (generator === 0) fail(i, text);
+                        } else {
+                            match = rest.match(letterPattern);
+                            if (!match) fail(i, text);
+                            const lower = match[0].toLowerCase();
+                            generator = BraidWord.ARTIN_LETTERS.indexOf(lower) + 1;
+                            if (generator === 0) fail(i, text);
+                            if (match[0] !== lower) generator = -generator;
+                        }
+                    }
+                    i += match[0].length;
+
+                    let exponent = 1;
+                    const power = text.slice(i).match(exponentPattern);
+                    if (power) {
+                        exponent = power[1] !== undefined ? Number(power[1]) : fromSuperscript(power[2]);
+                        i += power[0].length;
+                    }
+
+                    if (generator === 0) {
+                        // Δ can only be expanded once the strand count is known
+                        deltaPowers.push({ index: generators.length, exponent });
+                    } else {
+                        const letter = Math.sign(exponent) * generator;
+                        for (let k = 0; k < Math.abs(exponent); k++) {
+                            generators.push(letter);
+                        }
+                    }
+                }
+            }
+        }
+
+        const n = generators.reduce((max, g) => Math.max(max, Math.abs(g) + 1), Math.max(numStrands, 2));
+
+        // Splice in the Δ powers, last first so earlier indices stay valid
+        const delta = PermutationBraid.delta(n).toCrossings().map(c => c.generator);
+        for (const { index, exponent } of deltaPowers.reverse()) {
+            const block = [];
+            for (let k = 0; k < Math.abs(exponent); k++) {
+                block.push(...(exponent > 0 ? delta : delta.slice().reverse().map(g => -g)));
+            }
+            generators.splice(index, 0, ...block);
+        }
+
+        return new BraidWord(
+            generators.map(g => new Crossing(Math.abs(g), Math.sign(g), 0)),
+            n
+        );
+    }
+
+    /**
+     * The word in band generators, one aᵢ₊₁,ᵢ per crossing σᵢ^±1
+     * @returns {BandGenerator[]}
+     */
+    toBandGenerators() {
+        return this.crossings.map(c => BandGenerator.fromCrossing(c));
+    }
+
+    /**
+     * Expand a band generator word into Artin generators
+     * @param {BandGenerator[]} bands
+     */
+    static fromBandGenerators(bands, numStrands = 0) {
+        const crossings = [];
+        for (const band of bands) crossings.push(...band.toCrossings());
+        return new BraidWord(crossings, Math.max(numStrands, 2));
+    }
+
+    /**
+     * Birman–Ko–Lee (band generator) normal form, see braid-bkl.js
+     * @returns {BKLNormalForm}
+     */
+    toBKLNormalForm() {
+        // braid-bkl.js loads after this file in the browser
+        const NormalForm = typeof BKLNormalForm !== 'undefined'
+            ? BKLNormalForm
+            : require('./braid-bkl.js').BKLNormalForm;
+        return NormalForm.fromBraidWord(this);
+    }
+
+    /**
+     * Clone this braid word
+     */
+    clone() {
+        return new BraidWord(this.crossings.map(c =>
+            new Crossing(c.generator, c.sign, c.timestamp)
+        ), this.numStrands).setEngine(this.engine);
+    }
+
+    /**
+     * The inverse braid (reverse the word and invert each crossing)
+     */
+    inverse() {
+        const inverted = [];
+        for (let i = this.crossings.length - 1; i >= 0; i--) {
+            inverted.push(this.crossings[i].inverse());
+        }
+        return new BraidWord(inverted, this.numStrands);
+    }
+
+    // Markov moves: two braids have the same closure (the same knot or link
+    // once every strand's top is joined to its bottom) exactly when a sequence
+    // of conjugations, stabilizations and destabilizations turns one into the
+    // other (Markov's theorem)
+
+    /**
+     * Conjugation c⁻¹·β·c by a single crossing
+     */
+    conjugate(crossing) {
+        return new BraidWord([crossing.inverse(), ...this.crossings, crossing], this.numStrands);
+    }
+
+    /**
+     * Cyclic rotation: the first k letters move to the end (a conjugation)
+     */
+    rotate(k) {
+        const length = this.crossings.length;
+        if (length === 0) return this.clone();
+        const shift = ((k % length) + length) % length;
+        return new BraidWord(
+            [...this.crossings.slice(shift), ...this.crossings.slice(0, shift)],
+            this.numStrands
+        );
+    }
+
+    /**
+     * Stabilization: β ∈ Bₙ becomes β·σₙ^±1 ∈ Bₙ₊₁, adding a strand that
+     * closes up into a kink of the last component
+     */
+    stabilize(sign = 1) {
+        const n = this.numStrands;
+        return new BraidWord([...this.crossings, new Crossing(n, sign, 0)], n + 1);
+    }
+
+    /**
+     * Destabilization, the inverse of stabilize()
+     *
+     * Applies when σₙ₋₁ occurs exactly once: rotating it to the end gives
+     * u·σₙ₋₁^±1 with u ∈ Bₙ₋₁, and u has the same closure. By symmetry
+     * (conjugating by Δ) a lone σ₁ lets the first strand go instead.
+     * @returns {BraidWord|null} The braid on one strand fewer, or null
+     */
+    destabilize() {
+        const n = this.numStrands;
+        if (n < 2) return null;
+
+        const lonely = (generator) => {
+            const at = this.crossings.map((c, k) => c.generator === generator ? k : -1).filter(k => k >= 0);
+            return at.length === 1 ? at[0] : -1;
+        };
+
+        const last = lonely(n - 1);
+        if (last >= 0) {
+            const rest = this.rotate(last + 1).crossings.slice(0, -1);
+            return new BraidWord(rest, n - 1);
+        }
+
+        const first = lonely(1);
+        if (first >= 0 && n > 2) {
+            const rest = this.rotate(first + 1).crossings.slice(0, -1);
+            return new BraidWord(rest.map(c => new Crossing(c.generator - 1, c.sign, c.timestamp)), n - 1);
+        }
+        return null;
+    }
+
+    /**
+     * The permutation the braid induces on strand positions:
+     * perm[i] = final position of the strand starting at position i
+     */
+    get permutation() {
+        if (this.state) return this.state.permutation;
+        const order = Array.from({ length: this.numStrands }, (_, i) => i);
+        for (const c of this.crossings) {
+            const i = c.generator;
+            [order[i - 1], order[i]] = [order[i], order[i - 1]];
+        }
+        // order[position] = starting strand; invert it
+        const perm = new Array(this.numStrands);
+        order.forEach((strand, position) => { perm[strand] = position; });
+        return perm;
+    }
+
+    /**
+     * Does every strand end where it started?
+     */
+    get isPure() {
+        return this.permutation.every((position, strand) => position === strand);
+    }
+
+    /**
+     * Pairwise linking numbers: lk[a][b] is half the signed crossings in the
+     * word between the strands starting at positions a and b. For a pure
+     * braid these are whole numbers and invariants of the braid; otherwise
+     * they depend on the word (σ₁⁻¹σ₂σ₁ and σ₂σ₁σ₂⁻¹ are the same braid).
+     * @returns {number[][]}
+     */
+    linkingNumbers() {
+        return this.incremental.pairCrossings.map(row => row.map(c => c / 2));
+    }
+
+    /**
+     * Number of components of the closure (cycles of the permutation)
+     */
+    get closureComponents() {
+        const perm = this.permutation;
+        const seen = new Array(perm.length).fill(false);
+        let components = 0;
+        for (let i = 0; i < perm.length; i++) {
+            if (seen[i]) continue;
+            components++;
+            for (let j = i; !seen[j]; j = perm[j]) seen[j] = true;
+        }
+        return components;
+    }
+
+    /**
+     * The permutation in cycle notation with 1-based positions, e.g. "(1 3)"
+     */
+    permutationCycles() {
+        const perm = this.permutation;
+        const seen = new Array(perm.length).fill(false);
+        const cycles = [];
+        for (let i = 0; i < perm.length; i++) {
+            if (seen[i] || perm[i] === i) continue;
+            const cycle = [];
+            for (let j = i; !seen[j]; j = perm[j]) {
+                seen[j] = true;
+                cycle.push(j + 1);
+            }
+            cycles.push('(' + cycle.join(' ') + ')');
+        }
+        return cycles.length > 0 ? cycles.join('') : 'e';
+    }
+
+    /**
+     * Artin's action on the free group Fₙ = ⟨x₁, …, xₙ⟩, the fundamental
+     * group of the disk with one puncture per dog (xₖ loops around dog k)
+     *
+     * σᵢ sends xᵢ ↦ xᵢxᵢ₊₁xᵢ⁻¹ and xᵢ₊₁ ↦ xᵢ; σᵢ⁻¹ sends xᵢ ↦ xᵢ₊₁ and
+     * xᵢ₊₁ ↦ xᵢ₊₁⁻¹xᵢxᵢ₊₁. Letters act in reading order (the image of a
+     * word under σᵢ is rewritten by σᵢ's substitution), so the Fox
+     * derivatives of the images give the rows of the unreduced Burau
+     * matrix. The action is faithful, and the boundary loop x₁x₂⋯xₙ is
+     * fixed by every braid.
+     *
+     * Images grow exponentially for most braids, hence the length cap.
+     * @param {number} maxLength - Give up once an image is longer than this
+     * @returns {number[][]|null} Freely reduced images of x₁, …, xₙ, with
+     *          ±k standing for xₖ^±1; null past maxLength
+     */
+    artinAction(maxLength = Infinity) {
+        const images = Array.from({ length: this.numStrands }, (_, k) => [k + 1]);
+        const invert = (word) => word.map(x => -x).reverse();
+
+        // Substituting σ's images into the current ones composes the wrong
+        // way round, so run through the word backwards
+        for (let k = this.crossings.length - 1; k >= 0; k--) {
+            const c = this.crossings[k];
+            const a = images[c.generator - 1];
+            const b = images[c.generator];
+            if (c.sign > 0) {
+                images[c.generator - 1] = BraidWord.freeReduce([...a, ...b, ...invert(a)]);
+                images[c.generator] = a;
+            } else {
+                images[c.generator - 1] = b;
+                images[c.generator] = BraidWord.freeReduce([...invert(b), ...a, ...b]);
+            }
+            if (images[c.generator - 1].length > maxLength || images[c.generator].length > maxLength) {
+                return null;
+            }
+        }
+        return images;
+    }
+
+    /**
+     * Cancel adjacent x·x⁻¹ pairs in a free group word of ±k letters
+     */
+    static freeReduce(letters) {
+        const reduced = [];
+        for (const x of letters) {
+            if (reduced.length > 0 && reduced[reduced.length - 1] === -x) {
+                reduced.pop();
+            } else {
+                reduced.push(x);
+            }
+        }
+        return reduced;
+    }
+
+    /**
+     * Free group word of ±k letters as text, e.g. "x₁x₂x₁⁻¹" (1 when empty)
+     */
+    static formatFreeWord(letters) {
+        if (letters.length === 0) return '1';
+        return letters.map(x => 'x' + toSubscript(Math.abs(x)) + (x > 0 ? '' : '⁻¹')).join('');
+    }
+
+    /**
+     * Burau representation: a matrix of Laurent polynomials in t
+     *
+     * Unreduced (n×n): σᵢ acts on rows i-1, i by [[1-t, t], [1, 0]].
+     * Reduced ((n-1)×(n-1)): row i-1 of σᵢ is (…, t, -t, 1, …) around the
+     * diagonal. The reduced form is faithful for n ≤ 3, so on B₃ it is an
+     * exact identity test.
+     *
+     * @param {boolean} reduced - Reduced (default) or unreduced representation
+     * @returns {LaurentPolynomial[][]}
+     */
+    burauMatrix(reduced = true) {
+        const size = reduced ? this.numStrands - 1 : this.numStrands;
+        let matrix = Array.from({ length: size }, (_, i) =>
+            Array.from({ length: size }, (_, j) =>
+                i === j ? LaurentPolynomial.one() : LaurentPolynomial.zero()
+            )
+        );
+
+        for (const c of this.crossings) {
+            const rows = reduced
+                ? BraidWord.reducedBurauRows(c.generator, c.sign, size)
+                : BraidWord.burauRows(c.generator, c.sign);
+            matrix = BraidWord.multiplyBySparse(matrix, rows);
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Non-identity rows of the unreduced Burau matrix of σᵢ^sign
+     */
+    static burauRows(generator, sign) {
+        const t = (d, c = 1) => LaurentPolynomial.monomial(c, d);
+        const r = generator - 1;
+        if (sign > 0) {
+            return [
+                { index: r, entries: [[r, t(0).sub(t(1))], [r + 1, t(1)]] },
+                { index: r + 1, entries: [[r, t(0)]] }
+            ];
+        }
+        return [
+            { index: r, entries: [[r + 1, t(0)]] },
+            { index: r + 1, entries: [[r, t(-1)], [r + 1, t(0).sub(t(-1))]] }
+        ];
+    }
+
+    /**
+     * Non-identity row of the reduced Burau matrix of σᵢ^sign
+     */
+    static reducedBurauRows(generator, sign, size) {
+        const t = (d, c = 1) => LaurentPolynomial.monomial(c, d);
+        const r = generator - 1;
+        const entries = sign > 0
+            ? [[r - 1, t(1)], [r, t(1, -1)], [r + 1, t(0)]]
+            : [[r - 1, t(0)], [r, t(-1, -1)], [r + 1, t(-1)]];
+        return [{ index: r, entries: entries.filter(([col]) => col >= 0 && col < size) }];
+    }
+
+    /**
+     * matrix · G where G is the identity except for the given rows
+     */
+    static multiplyBySparse(matrix, rows) {
+        const replaced = new Set(rows.map(r => r.index));
+        return matrix.map(row => {
+            const out = row.map((entry, col) => replaced.has(col) ? LaurentPolynomial.zero() : entry);
+            for (const { index, entries } of rows) {
+                const factor = row[index];
+                if (factor.isZero) continue;
+                for (const [col, value] of entries) {
+                    out[col] = out[col].add(factor.mul(value));
+                }
+            }
+            return out;
+        });
+    }
+
+    /**
+     * Exact identity test through the reduced Burau matrix
+     * (conclusive for n ≤ 3; for more strands a non-identity matrix still
+     * proves the braid is non-trivial)
+     */
+    isBurauIdentity() {
+        return this.burauMatrix().every((row, i) =>
+            row.every((entry, j) => entry.equals(i === j ? LaurentPolynomial.one() : LaurentPolynomial.zero()))
+        );
+    }
+
+    /**
+     * Compact text form of the reduced Burau matrix, rows separated by ';'
+     */
+    burauString() {
+        return '[' + this.burauMatrix().map(row => row.map(p => p.toString()).join(', ')).join('; ') + ']';
+    }
+
+    /**
+     * Alexander polynomial of the closure, from the reduced Burau matrix:
+     * det(I - B(β)) = (1 + t + … + tⁿ⁻¹)·Δ(t)
+     *
+     * Normalized up to ±tᵏ to start at t⁰ with a positive constant term.
+     * Split links (e.g. the closure of the trivial braid) give 0.
+     */
+    alexanderPolynomial() {
+        const burau = this.burauMatrix();
+        const matrix = burau.map((row, i) => row.map((entry, j) =>
+            i === j ? LaurentPolynomial.one().sub(entry) : entry.neg()
+        ));
+        const det = LaurentPolynomial.determinant(matrix);
+        const cyclotomic = new LaurentPolynomial(new Array(this.numStrands).fill(1n));
+        const { quotient } = det.divide(cyclotomic);
+
+        if (quotient.isZero) return quotient;
+        const normalized = quotient.shift(-quotient.low);
+        return normalized.coeffs[0] < 0n ? normalized.neg() : normalized;
+    }
+
+    /**
+     * Kauffman bracket ⟨β̂⟩ of the closure as a polynomial in A, normalized
+     * so the unknot is 1. Each σᵢ^±1 expands to A^±1·1 + A^∓1·Eᵢ in the
+     * Temperley–Lieb algebra and every closed circle contributes d = -A² - A⁻².
+     */
+    kauffmanBracket() {
+        const A = (k) => LaurentPolynomial.monomial(1, k);
+        const d = A(2).add(A(-2)).neg();
+        let state = new Map();
+        const identity = TemperleyLiebDiagram.identity(this.numStrands);
+        state.set(identity.key(), { diagram: identity, coeff: LaurentPolynomial.one() });
+
+        const accumulate = (map, diagram, coeff) => {
+            const key = diagram.key();
+            const existing = map.get(key);
+            if (existing) {
+                existing.coeff = existing.coeff.add(coeff);
+                if (existing.coeff.isZero) map.delete(key);
+            } else if (!coeff.isZero) {
+                map.set(key, { diagram, coeff });
+            }
+        };
+
+        for (const c of this.crossings) {
+            const next = new Map();
+            for (const { diagram, coeff } of state.values()) {
+                accumulate(next, diagram, coeff.mul(A(c.sign)));
+                const { diagram: smoothed, loops } = diagram.withCupCap(c.generator);
+                let smoothedCoeff = coeff.mul(A(-c.sign));
+                for (let i = 0; i < loops; i++) smoothedCoeff = smoothedCoeff.mul(d);
+                accumulate(next, smoothed, smoothedCoeff);
+            }
+            state = next;
+        }
+
+        let bracket = LaurentPolynomial.zero();
+        for (const { diagram, coeff } of state.values()) {
+            let term = coeff;
+            for (let i = 1; i < diagram.closureLoops(); i++) term = term.mul(d);
+            bracket = bracket.add(term);
+        }
+        return bracket;
     }
 
     /**
-     * Get the length (number of generators)
+     * Jones polynomial of the closure, V(t) = (-A³)^(-w)·⟨β̂⟩ at A = t^(-1/4)
+     *
+     * Links with an even number of components have half-integer exponents,
+     * so the result is a polynomial in t^(1/2): print it with toString('t', 2).
      */
-    get length() {
-        return this.crossings.length;
+    jonesPolynomial() {
+        const w = this.writhe;
+        const normalized = this.kauffmanBracket()
+            .mul(LaurentPolynomial.monomial(w % 2 === 0 ? 1 : -1, -3 * w));
+
+        // A^k = t^(-k/4) = (t^(1/2))^(-k/2); k is always even here
+        const coeffs = [];
+        for (let k = normalized.degree; k >= normalized.low; k -= 2) {
+            coeffs.push(normalized.coefficient(k));
+        }
+        return new LaurentPolynomial(coeffs, -normalized.degree / 2);
     }
 
     /**
-     * Check if the braid is trivial (identity)
+     * Compute the Garside left normal form Δᵖ·A₁·…·Aᵣ
+     * @param {number} numStrands - Strand count (defaults to this.numStrands)
+     * @returns {GarsideNormalForm}
      */
-    get isTrivial() {
-        return this.crossings.length === 0;
+    toGarsideNormalForm(numStrands = this.numStrands) {
+        if (numStrands === this.numStrands) {
+            return this.incremental.normalForm();
+        }
+        const n = numStrands;
+
+        // Rewrite each σᵢ⁻¹ as Δ⁻¹·(Δσᵢ⁻¹) and collect the Δ⁻¹ at the front.
+        // Moving Δ⁻¹ left across a simple factor conjugates it by Δ, so each
+        // factor is flipped once per inverse letter to its right.
+        const simples = new Array(this.crossings.length);
+        let power = 0;
+        for (let k = this.crossings.length - 1; k >= 0; k--) {
+            const c = this.crossings[k];
+            let simple = PermutationBraid.generator(c.generator, n);
+            if (c.sign < 0) simple = simple.leftComplement();
+            if (-power % 2 === 1) simple = simple.flip();
+            simples[k] = simple;
+            if (c.sign < 0) power--;
+        }
+
+        // Left-weight the positive part one factor at a time
+        const factors = [];
+        for (const simple of simples) {
+            GarsideNormalForm.appendFactor(factors, simple);
+        }
+
+        return GarsideNormalForm.fromFactors(n, power, factors);
     }
 
     /**
-     * Calculate the writhe (signed sum of crossings)
-     * Positive crossings contribute +1, negative contribute -1
+     * Check whether two words represent the same braid
      */
-    get writhe() {
-        return this.crossings.reduce((sum, c) => sum + c.sign, 0);
+    equals(other) {
+        const n = Math.max(this.numStrands, other.numStrands);
+        if (this.engine === 'dynnikov') {
+            return DynnikovCoordinates.ofWord(this.crossings, n)
+                .equals(DynnikovCoordinates.ofWord(other.crossings, n));
+        }
+        return this.toGarsideNormalForm(n).equals(other.toGarsideNormalForm(n));
     }
 
     /**
-     * Calculate complexity metric
-     * Simple version: absolute writhe + word length penalty
+     * Dehornoy handle reduction
+     *
+     * A σᵢ-handle is a subword σᵢᵉ·v·σᵢ⁻ᵉ where v uses only generators above i.
+     * Reducing it replaces each σᵢ₊₁ᵈ in v by σᵢ₊₁⁻ᵉσᵢᵈσᵢ₊₁ᵉ and drops the ends.
+     * When no handle remains, the lowest generator appears with one sign only,
+     * which decides the word problem independently of the normal form.
+     *
+     * If the reduction runs past maxSteps, the sign comes from the Garside
+     * normal form instead: trivial, a positive braid (inf ≥ 0, σ-positive)
+     * or a negative one (sup ≤ 0, σ-negative). Anything else is left
+     * undetermined rather than read off a word that still has handles.
+     *
+     * @param {number} maxSteps - Give up after this many handle reductions
+     * @returns {{word: BraidWord, sign: number|null, type: string}}
+     *          sign is 1 (σ-positive), -1 (σ-negative), 0 (trivial) or
+     *          null (undetermined; word is then only partly reduced)
      */
-    get complexity() {
-        const absWrithe = Math.abs(this.writhe);
-        // Word length matters more when writhe is low
-        // (could be many crossings that mostly cancel)
-        return absWrithe + Math.floor(this.length / 2);
+    handleReduce(maxSteps = 100000) {
+        let letters = this.crossings.map(c => c.sign * c.generator);
+        const n = this.numStrands;
+
+        let steps = 0;
+        let handle;
+        while ((handle = BraidWord.findHandle(letters, n))) {
+            if (++steps > maxSteps) {
+                return this.garsideSign(letters);
+            }
+
+            const [start, end] = handle;
+            const i = Math.abs(letters[start]);
+            const e = Math.sign(letters[start]);
+            const middle = [];
+
+            for (let k = start + 1; k < end; k++) {
+                const letter = letters[k];
+                if (Math.abs(letter) === i + 1) {
+                    middle.push(-e * (i + 1), Math.sign(letter) * i, e * (i + 1));
+                } else {
+                    middle.push(letter);
+                }
+            }
+
+            letters = letters.slice(0, start).concat(middle, letters.slice(end + 1));
+        }
+
+        const word = new BraidWord(letters.map(l => new Crossing(Math.abs(l), Math.sign(l), 0)), n);
+        let sign = 0;
+        if (letters.length > 0) {
+            const lowest = Math.min(...letters.map(Math.abs));
+            sign = Math.sign(letters.find(l => Math.abs(l) === lowest));
+        }
+
+        return {
+            word,
+            sign,
+            type: sign > 0 ? 'σ-positive' : sign < 0 ? 'σ-negative' : 'trivial'
+        };
     }
 
     /**
-     * Get string representation
+     * Fallback sign for handleReduce() when the reduction does not finish
+     * @param {number[]} letters - The partly reduced signed generators
      */
-    toString() {
-        if (this.crossings.length === 0) return 'ε'; // Identity
-        return this.crossings.map(c => c.toString()).join('·');
+    garsideSign(letters) {
+        const word = new BraidWord(letters.map(l => new Crossing(Math.abs(l), Math.sign(l), 0)), this.numStrands);
+        const normalForm = this.toGarsideNormalForm();
+        let sign = null;
+        if (normalForm.isTrivial) {
+            sign = 0;
+        } else if (normalForm.inf >= 0) {
+            sign = 1;
+        } else if (normalForm.sup <= 0) {
+            sign = -1;
+        }
+
+        return {
+            word,
+            sign,
+            type: sign === null ? 'undetermined'
+                : sign > 0 ? 'σ-positive' : sign < 0 ? 'σ-negative' : 'trivial'
+        };
     }
 
     /**
-     * Get shortened string for display (last N crossings)
+     * Find the handle that ends first in a signed-generator list.
+     * No handle can nest inside it, so it is always safe to reduce.
+     * @returns {number[]|null} [start, end] indices
      */
-    toDisplayString(maxLength = 8) {
-        if (this.crossings.length === 0) return 'ε';
-        if (this.crossings.length <= maxLength) {
-            return this.crossings.map(c => c.toString()).join('·');
+    static findHandle(letters, numStrands) {
+        // lastSeen[g] = most recent index holding generator g
+        const lastSeen = new Array(numStrands).fill(-1);
+
+        for (let end = 0; end < letters.length; end++) {
+            const i = Math.abs(letters[end]);
+
+            // The nearest earlier letter with generator ≤ i bounds the handle
+            let start = -1;
+            for (let g = 1; g <= i; g++) {
+                if (lastSeen[g] > start) start = lastSeen[g];
+            }
+
+            if (start >= 0 && letters[start] === -letters[end]) {
+                return [start, end];
+            }
+            lastSeen[i] = end;
         }
-        const lastN = this.crossings.slice(-maxLength);
-        return '...' + lastN.map(c => c.toString()).join('·');
+
+        return null;
     }
 
     /**
-     * Clone this braid word
+     * Compare two braids in the Dehornoy order: a < b iff a⁻¹b is σ-positive
+     * @returns {number|null} -1, 0 or 1, or null if handle reduction gave up
+     *          without the normal form settling it
      */
-    clone() {
-        return new BraidWord(this.crossings.map(c =>
-            new Crossing(c.generator, c.sign, c.timestamp)
-        ));
+    compare(other) {
+        const quotient = new BraidWord(
+            [...this.inverse().crossings, ...other.crossings],
+            Math.max(this.numStrands, other.numStrands)
+        );
+        const { sign } = quotient.handleReduce();
+        return sign === null ? null : -sign;
     }
 
     /**
@@ -165,12 +1886,12 @@ class BraidWord {
             }
         }
 
-        return new BraidWord(result);
+        return new BraidWord(result, this.numStrands);
     }
 
     /**
      * Apply the Yang-Baxter relation once if possible
-     * σ₁σ₂σ₁ ↔ σ₂σ₁σ₂
+     * σᵢσᵢ₊₁σᵢ ↔ σᵢ₊₁σᵢσᵢ₊₁
      * Returns true if a substitution was made
      */
     applyYangBaxter() {
@@ -179,23 +1900,16 @@ class BraidWord {
             const b = this.crossings[i + 1];
             const c = this.crossings[i + 2];
 
-            // Check for σ₁σ₂σ₁ pattern (all same sign)
-            if (a.generator === 1 && b.generator === 2 && c.generator === 1 &&
-                a.sign === b.sign && b.sign === c.sign) {
-                // Replace with σ₂σ₁σ₂
-                this.crossings[i] = new Crossing(2, a.sign, a.timestamp);
-                this.crossings[i + 1] = new Crossing(1, b.sign, b.timestamp);
-                this.crossings[i + 2] = new Crossing(2, c.sign, c.timestamp);
-                return true;
-            }
-
-            // Check for σ₂σ₁σ₂ pattern
-            if (a.generator === 2 && b.generator === 1 && c.generator === 2 &&
+            // Check for σᵢσⱼσᵢ with adjacent i, j (all same sign)
+            if (a.generator === c.generator && Math.abs(a.generator - b.generator) === 1 &&
                 a.sign === b.sign && b.sign === c.sign) {
-                // Replace with σ₁σ₂σ₁
-                this.crossings[i] = new Crossing(1, a.sign, a.timestamp);
-                this.crossings[i + 1] = new Crossing(2, b.sign, b.timestamp);
-                this.crossings[i + 2] = new Crossing(1, c.sign, c.timestamp);
+                // Replace with σⱼσᵢσⱼ
+                this.crossings[i] = new Crossing(b.generator, a.sign, a.timestamp);
+                this.crossings[i + 1] = new Crossing(a.generator, b.sign, b.timestamp);
+                this.crossings[i + 2] = new Crossing(b.generator, c.sign, c.timestamp);
+                this.version++;
+                this.state = null;
+                this.dynnikov = null;
                 return true;
             }
         }
@@ -229,22 +1943,226 @@ class BraidWord {
     }
 }
 
+// Artin letters for σ₁…σ₁₂ (13 strands, far more than any walk or table knot
+// here needs); other letters are treated as typos rather than σ₂₄ and the like
+BraidWord.ARTIN_LETTERS = 'abcdefghijkl';
+
+/**
+ * Persistent history of a BraidTracker's states
+ *
+ * Each recorded crossing adds a node holding its log event (the letters it
+ * appended and their timestamp) and the leash order right after it, so any past state can be rebuilt by replaying the events from
+ * the root. Nothing is thrown away: recording after stepping back starts a
+ * new branch beside the old one, and a reset starts a new walk (a new
+ * root). The current timeline runs from the root through the cursor and on
+ * through the most recently visited child of each node.
+ */
+class BraidHistory {
+    constructor(numStrands) {
+        this.numStrands = numStrands;
+        this.walks = []; // One root per walk
+        this.nodes = []; // Every node, indexed by id
+        this.cursor = null;
+        this.startWalk(Array.from({ length: numStrands }, (_, i) => i));
+    }
+
+    /**
+     * Start a new walk from the untangled state
+     * @param {number[]} strandOrder - Dog indices from left to right
+     */
+    startWalk(strandOrder) {
+        const root = this.createNode(null, null, strandOrder);
+        this.walks.push(root);
+        this.cursor = root;
+        return root;
+    }
+
+    createNode(parent, event, strandOrder) {
+        const node = {
+            id: this.nodes.length,
+            parent,
+            event, // null for a walk's root
+            time: event ? event.time : 0,
+            depth: parent ? parent.depth + 1 : 0,
+            strandOrder: [...strandOrder],
+            children: [],
+            next: null // Child on the current timeline
+        };
+        this.nodes.push(node);
+        if (parent) {
+            parent.children.push(node);
+            parent.next = node;
+        }
+        return node;
+    }
+
+    /**
+     * Add a crossing after the cursor (branching if the cursor has children)
+     * and move the cursor to it
+     */
+    record(event, strandOrder) {
+        this.cursor = this.createNode(this.cursor, event, strandOrder);
+        return this.cursor;
+    }
+
+    /**
+     * Step the cursor back one crossing
+     * @returns {Object|null} The new cursor, or null at the start of the walk
+     */
+    back() {
+        const parent = this.cursor.parent;
+        if (!parent) return null;
+        parent.next = this.cursor;
+        this.cursor = parent;
+        return parent;
+    }
+
+    /**
+     * Step the cursor forward one crossing along the current timeline
+     * @returns {Object|null} The new cursor, or null at the end of the timeline
+     */
+    forward() {
+        const next = this.cursor.next;
+        if (!next) return null;
+        this.cursor = next;
+        return next;
+    }
+
+    /**
+     * Move the cursor to any node, making the timeline pass through it
+     */
+    moveTo(node) {
+        for (let n = node; n.parent; n = n.parent) {
+            n.parent.next = n;
+        }
+        this.cursor = node;
+        return node;
+    }
+
+    /**
+     * Nodes of the current timeline, from the walk's root to its end
+     */
+    timeline() {
+        const nodes = BraidHistory.path(this.cursor);
+        for (let n = this.cursor.next; n; n = n.next) {
+            nodes.push(n);
+        }
+        return nodes;
+    }
+
+    /**
+     * A node by its id, as given to the log event that recorded it
+     */
+    node(id) {
+        return this.nodes[id] || null;
+    }
+
+    /**
+     * The state at a time on the current timeline: the last node recorded
+     * at or before it (the root for times before the first crossing).
+     * Crossings found in the same step share a time, so this is for
+     * scrubbing; a logged crossing's own state is node(event.nodeId).
+     */
+    nodeAt(time) {
+        const nodes = this.timeline();
+        let low = 0;
+        let high = nodes.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (nodes[mid].time <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return nodes[low];
+    }
+
+    /**
+     * Nodes from the walk's root down to node, inclusive
+     */
+    static path(node) {
+        const nodes = [];
+        for (let n = node; n; n = n.parent) {
+            nodes.push(n);
+        }
+        return nodes.reverse();
+    }
+
+    /**
+     * Log events leading to a node, oldest first
+     */
+    static events(node) {
+        return BraidHistory.path(node).slice(1).map(n => n.event);
+    }
+
+    /**
+     * The letters taking the state at node a to the state at node b: back
+     * up from a to the last state they share, then down to b
+     * @returns {Crossing[]}
+     */
+    static difference(a, b) {
+        const up = [];
+        const down = [];
+        let [x, y] = [a, b];
+        // Roots of different walks are both the untangled state
+        while (x !== y && (x.parent || y.parent)) {
+            if (x.depth >= y.depth) {
+                up.push(...[...x.event.crossings].reverse().map(c => c.inverse()));
+                x = x.parent;
+            } else {
+                down.push(y.event.crossings);
+                y = y.parent;
+            }
+        }
+        return [...up, ...down.reverse().flat()];
+    }
+}
+
 /**
- * Tracks the braid state for three dogs over time
+ * Tracks the braid state for a group of dogs over time
+ * (one strand per name in dogNames)
  */
 class BraidTracker {
-    constructor(dogNames = ['A', 'B', 'C']) {
+    /**
+     * @param {string[]} dogNames
+     * @param {Object} options - wordEngine: 'garside' (default) or 'dynnikov',
+     *                           how the tracker decides whether the leashes are untangled;
+     *                           clock: function giving the seconds since the walk began
+     *                           (defaults to wall-clock time since the tracker started)
+     */
+    constructor(dogNames = ['A', 'B', 'C'], options = {}) {
         this.dogNames = dogNames;
-        this.braidWord = new BraidWord();
+        this.numStrands = dogNames.length;
+        this.wordEngine = options.wordEngine || 'garside';
+        this.braidWord = new BraidWord([], this.numStrands).setEngine(this.wordEngine);
+        this.bandWord = []; // The same braid as BandGenerators, one per recorded crossing
         this.eventLog = [];
         this.startTime = Date.now();
+        this.clock = options.clock || null;
+
+        // Every state so far, across resets, for undo/redo and time travel
+        this.history = new BraidHistory(this.numStrands);
 
-        // Map rope IDs to dog indices (0=A, 1=B, 2=C)
+        // Map rope IDs to dog indices (0=A, 1=B, 2=C, ...)
         this.ropeToDoag = new Map();
 
+        // Left-to-right order of the leashes: strandOrder[position] = dog index
+        // Every crossing swaps two entries, so this is the braid's permutation
+        this.strandOrder = Array.from({ length: this.numStrands }, (_, i) => i);
+
+        // The order when the walk began: startOrder[strand] = dog index,
+        // naming the strands of the braid word
+        this.startOrder = [...this.strandOrder];
+
         // Debounce crossings to avoid multiple detections
         this.lastCrossing = null;
         this.crossingCooldown = 200; // ms
+
+        // Expensive analyses of the braid, recomputed only after it changes
+        this.invariantCache = null;
+        this.conjugacyCache = null;
+        this.metricCache = new Map(); // metric name -> { word, version, value }
     }
 
     /**
@@ -255,24 +2173,49 @@ class BraidTracker {
     }
 
     /**
-     * Get elapsed time in seconds
+     * Seed the left-to-right leash order (e.g. from a lateral projection)
+     * @param {number[]} order - Dog indices from left to right
+     */
+    setStrandOrder(order) {
+        this.strandOrder = [...order];
+        this.startOrder = [...order];
+        this.history.cursor.strandOrder = [...order];
+    }
+
+    /**
+     * Current position (0 = leftmost) of a dog's leash
+     */
+    positionOf(dogIndex) {
+        return this.strandOrder.indexOf(dogIndex);
+    }
+
+    /**
+     * Get elapsed time in seconds, on the clock given to the constructor
      */
     getElapsedTime() {
-        return (Date.now() - this.startTime) / 1000;
+        return this.clock ? this.clock() : (Date.now() - this.startTime) / 1000;
     }
 
     /**
      * Record a crossing event
+     *
+     * The generator comes from where the two leashes currently sit in the
+     * left-to-right order, not from which dogs they belong to. Leashes in
+     * adjacent positions i-1 and i give σᵢ^±1 (positive when the right-hand
+     * leash goes over). Leashes at positions p < q further apart cross above
+     * the ones between them, recorded as the band generator
+     * σ(p+1)⁻¹…σ(q-1)⁻¹ · σ(q)^±1 · σ(q-1)…σ(p+1).
+     *
      * @param ropeA - First rope involved
      * @param ropeB - Second rope involved
-     * @param sign - Positive (over) or negative (under)
+     * @param sign - Positive if ropeA is over ropeB, negative if under
      */
     recordCrossing(ropeIdA, ropeIdB, sign) {
-        const now = Date.now();
+        const timestamp = this.getElapsedTime();
 
         // Debounce
         if (this.lastCrossing) {
-            const timeSinceLast = now - this.lastCrossing.time;
+            const timeSinceLast = (timestamp - this.lastCrossing.time) * 1000;
             if (timeSinceLast < this.crossingCooldown &&
                 this.lastCrossing.ropeA === ropeIdA &&
                 this.lastCrossing.ropeB === ropeIdB) {
@@ -288,58 +2231,237 @@ class BraidTracker {
             return null;
         }
 
-        // Determine which generator this is
-        // σ₁: dogs 0-1 (A-B)
-        // σ₂: dogs 1-2 (B-C)
-        const sortedDogs = [dogA, dogB].sort((a, b) => a - b);
-        let generator;
-
-        if (sortedDogs[0] === 0 && sortedDogs[1] === 1) {
-            generator = 1; // σ₁
-        } else if (sortedDogs[0] === 1 && sortedDogs[1] === 2) {
-            generator = 2; // σ₂
-        } else if (sortedDogs[0] === 0 && sortedDogs[1] === 2) {
-            // Dogs A and C crossing - this would be σ₁σ₂ or σ₂σ₁
-            // For simplicity, we track it as affecting B's position
-            // In reality, this is more complex topologically
-            generator = 1; // Approximate
-            console.log('A-C crossing detected, approximating as σ₁');
-        } else {
-            console.warn('Invalid dog pair:', sortedDogs);
+        const posA = this.positionOf(dogA);
+        const posB = this.positionOf(dogB);
+
+        if (dogA === dogB || posA < 0 || posB < 0) {
+            console.warn('Invalid dog pair:', dogA, dogB);
             return null;
         }
 
-        const timestamp = this.getElapsedTime();
-        const crossing = new Crossing(generator, sign, timestamp);
+        const left = Math.min(posA, posB);
+        const right = Math.max(posA, posB);
+        // Positive when the right-hand leash is on top
+        const generatorSign = posA > posB ? sign : -sign;
+
+        // One band generator; in Artin generators it carries the left leash
+        // over its neighbours until it sits next to the right one, crosses,
+        // then carries the right leash back the same way
+        const band = new BandGenerator(right + 1, left + 1, generatorSign, timestamp);
+        const crossings = band.toCrossings();
+        const crossing = crossings[right - left - 1];
 
-        this.braidWord.append(crossing);
-        this.lastCrossing = { time: now, ropeA: ropeIdA, ropeB: ropeIdB };
+        // Names as they stand at the moment the two leashes meet
+        const namesAtCrossing = this.strandOrder.map(d => this.dogNames[d]);
+        namesAtCrossing[right - 1] = this.dogNames[this.strandOrder[left]];
+
+        for (const c of crossings) {
+            this.braidWord.append(c);
+        }
+        this.bandWord.push(band);
+        [this.strandOrder[left], this.strandOrder[right]] = [this.strandOrder[right], this.strandOrder[left]];
+        this.lastCrossing = { time: timestamp, ropeA: ropeIdA, ropeB: ropeIdB };
 
         // Log event
         const event = {
             time: timestamp,
             crossing: crossing,
-            description: crossing.describe(this.dogNames)
+            crossings: crossings,
+            band: band,
+            description: crossing.describe(namesAtCrossing)
         };
         this.eventLog.push(event);
+        event.nodeId = this.history.record(event, this.strandOrder).id;
 
         return event;
     }
 
     /**
      * Get current stats
+     *
+     * The core numbers come from the word's incremental state and cost O(1)
+     * per call however long the walk. The detailed invariants (normal form
+     * string, Dehornoy sign, Burau matrix, conjugacy class) grow with the
+     * braid (hundreds of milliseconds once it runs to a few hundred
+     * letters); they are computed at most once per crossing, and callers
+     * decide when they are worth it (see hasInvariants).
+     * @param {Object} options - detailed: include the expensive invariants (default true)
      */
-    getStats() {
-        const simplified = this.braidWord.reduce();
-        return {
-            totalCrossings: this.braidWord.length,
-            simplifiedLength: simplified.length,
-            writhe: this.braidWord.writhe,
-            complexity: simplified.complexity,
-            braidWord: this.braidWord.toDisplayString(12),
-            simplifiedWord: simplified.toDisplayString(12),
-            isTrivial: simplified.isTrivial
+    getStats(options = {}) {
+        const { detailed = true } = options;
+        const word = this.braidWord;
+        const state = word.incremental;
+        const stats = {
+            numStrands: this.numStrands,
+            strandOrder: this.strandOrder.map(d => this.dogNames[d]).join(''),
+            totalCrossings: word.length,
+            simplifiedLength: state.reduced.length,
+            writhe: state.writhe,
+            complexity: Math.abs(state.writhe) + Math.floor(state.reduced.length / 2),
+            braidWord: word.toDisplayString(12),
+            bandWord: BraidWord.displayString(this.bandWord, 12),
+            simplifiedWord: word.freeReducedDisplayString(12),
+            inf: state.inf,
+            sup: state.sup,
+            permutation: word.permutationCycles(),
+            isPure: word.isPure,
+            linkingNumbers: this.getLinkingNumbers(),
+            wordEngine: this.wordEngine,
+            isTrivial: word.isTrivial
+        };
+        return detailed ? { ...stats, ...this.getInvariants() } : stats;
+    }
+
+    /**
+     * How many times each pair of leashes has wound around the other: half
+     * the signed crossings between them in the braid word (positive when the
+     * right-hand leash goes over). A crossing of leashes that are not
+     * neighbours also passes each over the leashes between them, and those
+     * count too. Once the braid is pure every leash is back in its starting
+     * slot, the windings are whole turns, and they are the linking numbers
+     * of the closed-up leashes.
+     * @returns {{dogs: number[], names: string[], crossings: number, linking: number}[]}
+     *          One entry per pair of dogs, in dog order (A–B, A–C, B–C, ...)
+     */
+    getLinkingNumbers() {
+        // The word counts crossings by starting strand; startOrder names their dogs
+        const strandOf = [];
+        this.startOrder.forEach((dog, strand) => { strandOf[dog] = strand; });
+        const counts = this.braidWord.incremental.pairCrossings;
+
+        const pairs = [];
+        for (let a = 0; a < this.numStrands; a++) {
+            for (let b = a + 1; b < this.numStrands; b++) {
+                const crossings = counts[strandOf[a]][strandOf[b]];
+                pairs.push({
+                    dogs: [a, b],
+                    names: [this.dogNames[a], this.dogNames[b]],
+                    crossings,
+                    linking: crossings / 2
+                });
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * Are the detailed invariants for the current braid already cached?
+     */
+    hasInvariants() {
+        const cache = this.invariantCache;
+        return Boolean(cache && cache.word === this.braidWord && cache.version === this.braidWord.version);
+    }
+
+    /**
+     * The getStats() entries that grow with the braid, cached per version of the word
+     */
+    getInvariants() {
+        const word = this.braidWord;
+        if (this.hasInvariants()) {
+            return this.invariantCache.invariants;
+        }
+
+        const conjugacy = this.getConjugacyInfo();
+        const invariants = {
+            normalForm: word.toGarsideNormalForm().toString(),
+            bklNormalForm: this.getBKLNormalForm().toString(),
+            dehornoySign: word.handleReduce().type,
+            burau: word.burauString(),
+            conjugacyClass: conjugacy.id,
+            nielsenThurston: conjugacy.type,
+            closure: this.getClosure()
         };
+        this.invariantCache = { word, version: word.version, invariants };
+        return invariants;
+    }
+
+    /**
+     * The knot or link the leashes would form with each dog's end joined
+     * back to the walker's hand
+     * @returns {Object|null} BraidClosure.identify() result, null when the
+     *          braid is too long to identify
+     */
+    getClosure() {
+        // braid-closure.js loads after this file in the browser
+        const Closure = typeof BraidClosure !== 'undefined'
+            ? BraidClosure
+            : require('./braid-closure.js').BraidClosure;
+        return Closure.identify(this.braidWord);
+    }
+
+    /**
+     * Birman–Ko–Lee normal form of the current tangle, from the band word
+     * @returns {BKLNormalForm}
+     */
+    getBKLNormalForm() {
+        // braid-bkl.js loads after this file in the browser
+        const NormalForm = typeof BKLNormalForm !== 'undefined'
+            ? BKLNormalForm
+            : require('./braid-bkl.js').BKLNormalForm;
+        return NormalForm.fromBands(this.bandWord, this.numStrands);
+    }
+
+    /**
+     * Conjugacy class ID and Nielsen–Thurston type of the current tangle
+     * Relabelling which leash counts as "first" conjugates the braid, so
+     * tangles that differ only by such a relabelling share a class ID.
+     * @returns {{id: string|null, representative: GarsideNormalForm|null, size: number, type: string}}
+     */
+    getConjugacyInfo() {
+        const word = this.braidWord;
+        const cache = this.conjugacyCache;
+        if (!cache || cache.word !== word || cache.version !== word.version) {
+            this.conjugacyCache = {
+                word,
+                version: word.version,
+                info: BraidTracker.conjugacyModule().analyze(word)
+            };
+        }
+        return this.conjugacyCache.info;
+    }
+
+    /**
+     * Is the current tangle the same as another braid up to relabelling the leashes?
+     */
+    isConjugateTo(braidWord) {
+        return BraidTracker.conjugacyModule().areConjugate(this.braidWord, braidWord);
+    }
+
+    /**
+     * Is a named tangle metric for the current braid already cached?
+     */
+    hasMetric(name) {
+        const cached = this.metricCache.get(name);
+        return Boolean(cached && cached.word === this.braidWord && cached.version === this.braidWord.version);
+    }
+
+    /**
+     * Value of a named tangle metric (see TangleMetrics in braid-metrics.js)
+     * for the current braid, recomputed only when the braid changes
+     */
+    getMetric(name) {
+        const metrics = typeof TangleMetrics !== 'undefined'
+            ? TangleMetrics
+            : require('./braid-metrics.js').TangleMetrics;
+        const metric = metrics[name];
+        if (!metric) {
+            throw new Error(`Unknown tangle metric: ${name}`);
+        }
+
+        const word = this.braidWord;
+        const cached = this.metricCache.get(name);
+        if (cached && cached.word === word && cached.version === word.version) return cached.value;
+
+        const value = metric.compute(word);
+        this.metricCache.set(name, { word, version: word.version, value });
+        return value;
+    }
+
+    static conjugacyModule() {
+        // braid-conjugacy.js loads after this file in the browser
+        return typeof BraidConjugacy !== 'undefined'
+            ? BraidConjugacy
+            : require('./braid-conjugacy.js').BraidConjugacy;
     }
 
     /**
@@ -353,33 +2475,160 @@ class BraidTracker {
      * Reset the tracker
      */
     reset() {
-        this.braidWord = new BraidWord();
+        this.braidWord = new BraidWord([], this.numStrands).setEngine(this.wordEngine);
+        this.bandWord = [];
         this.eventLog = [];
         this.startTime = Date.now();
         this.lastCrossing = null;
+        this.strandOrder = Array.from({ length: this.numStrands }, (_, i) => i);
+        this.startOrder = [...this.strandOrder];
+        this.history.startWalk(this.strandOrder);
+    }
+
+    // History: the tracker's state follows the history cursor. Stepping back
+    // and then recording a crossing (or branching from an earlier time)
+    // starts a new branch; the old one stays in the history.
+
+    /**
+     * Undo the last crossing
+     * @returns {boolean} False at the start of the walk
+     */
+    undo() {
+        if (!this.history.back()) return false;
+        this.restore(this.history.cursor);
+        return true;
     }
 
     /**
-     * Check if currently tangled (non-trivial after reduction)
+     * Redo the crossing after the current state on the current timeline
+     * @returns {boolean} False at the end of the timeline
      */
-    isTangled() {
-        return !this.braidWord.reduce().isTrivial;
+    redo() {
+        if (!this.history.forward()) return false;
+        this.restore(this.history.cursor);
+        return true;
     }
 
     /**
-     * Get the sequence of moves needed to untangle
-     * (Simple version: just reverse the word)
+     * History node for a moment: a history node itself, or a time in
+     * seconds on the tracker's clock (the last state recorded by then on
+     * the current timeline). Several crossings can share a time, so a
+     * logged crossing is best given as history.node(event.nodeId).
+     */
+    nodeFor(moment) {
+        return typeof moment === 'number' ? this.history.nodeAt(moment) : moment;
+    }
+
+    /**
+     * Go back to an earlier state; the next crossing starts a new branch
+     * from there
+     * @param {Object|number} moment - History node or time (see nodeFor)
+     * @returns {BraidWord} The braid at that moment
+     */
+    branchFrom(moment) {
+        this.restore(this.history.moveTo(this.nodeFor(moment)));
+        return this.braidWord;
+    }
+
+    /**
+     * Rebuild the word, band word, event log and leash orders from a
+     * history node
+     */
+    restore(node) {
+        const path = BraidHistory.path(node);
+        const events = path.slice(1).map(n => n.event);
+        this.braidWord = new BraidWord(events.flatMap(e => e.crossings), this.numStrands).setEngine(this.wordEngine);
+        this.bandWord = events.map(e => e.band);
+        this.eventLog = events;
+        this.strandOrder = [...node.strandOrder];
+        this.startOrder = [...path[0].strandOrder];
+        this.lastCrossing = null;
+    }
+
+    /**
+     * The braid as it was at a moment (history node or time, see nodeFor)
+     */
+    braidAt(moment) {
+        const events = BraidHistory.events(this.nodeFor(moment));
+        return new BraidWord(events.flatMap(e => e.crossings), this.numStrands);
+    }
+
+    /**
+     * The word taking the braid at moment m1 to the braid at moment m2
+     * (history nodes or times, see nodeFor): the crossings between them,
+     * undone in reverse when m2 is the earlier one. As a braid it is β₁⁻¹β₂.
+     */
+    diff(m1, m2) {
+        const crossings = BraidHistory.difference(this.nodeFor(m1), this.nodeFor(m2));
+        return new BraidWord(crossings, this.numStrands);
+    }
+
+    /**
+     * A separate tracker holding the state at a moment (history node or
+     * time, see nodeFor), for stats and invariants of the past without
+     * moving this one
+     */
+    at(moment) {
+        const past = new BraidTracker(this.dogNames, { wordEngine: this.wordEngine, clock: this.clock });
+        past.startTime = this.startTime;
+        past.restore(this.nodeFor(moment));
+        return past;
+    }
+
+    /**
+     * Switch the word problem engine behind isTangled() and the stats
+     * ('garside' or 'dynnikov'); both give the same answers
      */
-    getUntangleSequence() {
-        const reduced = this.braidWord.reduce();
-        const inverse = [];
+    setWordEngine(engine) {
+        this.braidWord.setEngine(engine);
+        this.wordEngine = engine;
+    }
 
-        // Reverse and invert each crossing
-        for (let i = reduced.crossings.length - 1; i >= 0; i--) {
-            inverse.push(reduced.crossings[i].inverse());
+    /**
+     * Decide whether the current braid is trivial with every engine, each
+     * from scratch on the full word, and time them
+     * @returns {Object} engine name -> { isTrivial, elapsedMs }
+     */
+    compareWordEngines() {
+        const results = {};
+        for (const engine of WORD_PROBLEM_ENGINES) {
+            const word = new BraidWord(this.braidWord.crossings, this.numStrands).setEngine(engine);
+            const startTime = Date.now();
+            const isTrivial = word.isTrivial;
+            results[engine] = { isTrivial, elapsedMs: Date.now() - startTime };
         }
+        return results;
+    }
+
+    /**
+     * Check if currently tangled (both engines update as crossings arrive)
+     */
+    isTangled() {
+        return !this.braidWord.isTrivial;
+    }
 
-        return new BraidWord(inverse);
+    /**
+     * Search for a shortest untangling sequence
+     * @returns {Object} Solver result: solution, length, optimal, nodesExpanded, elapsedMs
+     */
+    solveUntangle(options = {}) {
+        // braid-solver.js loads after this file in the browser
+        const Solver = typeof BraidSolver !== 'undefined'
+            ? BraidSolver
+            : require('./braid-solver.js').BraidSolver;
+        return new Solver(options).solve(this.braidWord);
+    }
+
+    /**
+     * Get the sequence of moves needed to untangle
+     * @param {UntangleStrategy} strategy - Optional solver to use instead of
+     *        the shortest-word search (see untangle-strategies.js)
+     */
+    getUntangleSequence(strategy = null) {
+        if (strategy) {
+            return strategy.solve(this.braidWord);
+        }
+        return this.solveUntangle().solution;
     }
 }
 
@@ -436,10 +2685,23 @@ class CrossingDetector {
 
 // Export
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Crossing, BraidWord, BraidTracker, CrossingDetector };
+    module.exports = {
+        Crossing, BandGenerator, PermutationBraid, GarsideNormalForm, LaurentPolynomial,
+        TemperleyLiebDiagram, DynnikovCoordinates, IncrementalBraidState, BraidWord,
+        BraidHistory, BraidTracker, CrossingDetector, WORD_PROBLEM_ENGINES, toSubscript, toSuperscript
+    };
 } else {
     window.Crossing = Crossing;
+    window.BandGenerator = BandGenerator;
+    window.PermutationBraid = PermutationBraid;
+    window.GarsideNormalForm = GarsideNormalForm;
+    window.LaurentPolynomial = LaurentPolynomial;
+    window.TemperleyLiebDiagram = TemperleyLiebDiagram;
+    window.DynnikovCoordinates = DynnikovCoordinates;
+    window.IncrementalBraidState = IncrementalBraidState;
     window.BraidWord = BraidWord;
+    window.BraidHistory = BraidHistory;
     window.BraidTracker = BraidTracker;
     window.CrossingDetector = CrossingDetector;
+    window.WORD_PROBLEM_ENGINES = WORD_PROBLEM_ENGINES;
 }
@@ -114,6 +114,13 @@ class Walker extends Entity {
         return this.position.add(rotatedOffset);
     }
 
+    /**
+     * Height of the hand above the ground (same units and pose as the 3D view)
+     */
+    getHandHeight() {
+        return 17 + this.handHeight * 0.5;
+    }
+
     /**
      * Set walking speed multiplier
      */
@@ -605,6 +612,14 @@ class Dog extends Entity {
         return this.position.add(backOffset);
     }
 
+    /**
+     * Collar height above the ground, rising with the trotting bounce
+     * (same units and scale as the 3D view)
+     */
+    getCollarHeight() {
+        return 16 + this.height * 3;
+    }
+
     /**
      * Update dog with behaviors
      * @param {number} dt - Delta time
@@ -0,0 +1,96 @@
+/**
+ * Famous Knots - The classic knots shown in the Famous Knots tab
+ *
+ * Each entry is a braid whose closure is the knot, plus the knot's
+ * determinant and Jones polynomial as published in the knot tables
+ * (Rolfsen, KnotInfo). The published values are typed in by hand rather
+ * than computed from a braid, so scripts/test-famous-knots.js can check
+ * every braid against an independent source.
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Famous knots keyed by explorer id
+     *
+     * jones is V(t) = Σ coeffs[k]·t^(low + k) for one of the two mirror
+     * images; tableId names the KNOT_TABLE entry the closure is identified as.
+     */
+    const FAMOUS_KNOTS = {
+        'unknot': {
+            name: 'Unknot',
+            description: 'The trivial knot — just a simple loop',
+            numStrands: 2,
+            notation: 'σ₁',
+            tableId: '0_1',
+            crossingNumber: 0,
+            determinant: 1,
+            jones: { low: 0, coeffs: [1] },
+            facts: 'One twist between two strands closes up into a single loop: a Markov stabilization of the empty braid'
+        },
+        'trefoil': {
+            name: 'Trefoil Knot',
+            description: 'The simplest non-trivial knot',
+            numStrands: 2,
+            notation: 'σ₁³',
+            tableId: '3_1',
+            crossingNumber: 3,
+            determinant: 3,
+            jones: { low: 1, coeffs: [1, 0, 1, -1] },
+            facts: 'Found in Celtic art, Buddhist symbols, and your shoelaces!'
+        },
+        'figure8': {
+            name: 'Figure-8 Knot',
+            description: 'The second simplest knot',
+            numStrands: 3,
+            notation: 'σ₁σ₂⁻¹σ₁σ₂⁻¹',
+            tableId: '4_1',
+            crossingNumber: 4,
+            determinant: 5,
+            jones: { low: -2, coeffs: [1, -1, 1, -1, 1] },
+            facts: 'Most commonly used stopper knot by sailors and climbers'
+        },
+        'cinquefoil': {
+            name: 'Cinquefoil Knot',
+            description: 'A 5-crossing torus knot',
+            numStrands: 2,
+            notation: 'σ₁⁵',
+            tableId: '5_1',
+            crossingNumber: 5,
+            determinant: 5,
+            jones: { low: 2, coeffs: [1, 0, 1, -1, 1, -1] },
+            facts: 'Also called the Solomon\'s Seal knot or pentafoil'
+        },
+        'granny': {
+            name: 'Granny Knot',
+            description: 'Two trefoils of the same handedness joined end to end',
+            numStrands: 3,
+            notation: 'σ₁³σ₂³',
+            tableId: '3_1#3_1',
+            crossingNumber: 6,
+            determinant: 9,
+            jones: { low: 2, coeffs: [1, 0, 2, -2, 1, -2, 1] },
+            facts: 'Slips under tension — never use for safety-critical knots! (σ₁⁶ looks similar but closes to a two-component torus link)'
+        },
+        'stevedore': {
+            name: 'Stevedore Knot',
+            description: 'A stopper knot used by dock workers',
+            numStrands: 4,
+            notation: 'σ₁²σ₂σ₁⁻¹σ₃⁻¹σ₂σ₃⁻¹',
+            tableId: '6_1',
+            crossingNumber: 6,
+            determinant: 9,
+            jones: { low: -4, coeffs: [1, -1, 1, -2, 2, -1, 1] },
+            facts: 'Larger and more secure than the figure-8 knot'
+        }
+    };
+
+    // Export
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { FAMOUS_KNOTS };
+    } else {
+        window.FAMOUS_KNOTS = FAMOUS_KNOTS;
+    }
+
+})();
@@ -39,6 +39,13 @@
         dot: (a, b) => a.x * b.x + a.y * b.y + a.z * b.z
     };
 
+    // Supplies the running simulation's BraidWord to the knot explorer (set by main.js)
+    let liveBraidSource = null;
+
+    function setLiveBraidSource(source) {
+        liveBraidSource = source;
+    }
+
     /**
      * Generate smooth 3D braid paths from a braid word
      */
@@ -65,7 +72,7 @@
                 paths.push({
                     strandId: i,
                     points: [],
-                    color: STRAND_COLORS[i]
+                    color: STRAND_COLORS[i % STRAND_COLORS.length]
                 });
             }
 
@@ -344,7 +351,7 @@
         constructor(container, options = {}) {
             this.container = container;
             this.numStrands = options.numStrands || 3;
-            this.operations = options.operations || [];
+            this.operations = BraidWord.parse(options.operations || [], this.numStrands).toArray();
             this.autoRotate = options.autoRotate !== false;
 
             this.isAnimating = false;
@@ -417,8 +424,12 @@
             }
         }
 
+        /**
+         * @param {string|number[]|BraidWord} ops - Any notation BraidWord.parse accepts
+         */
         setOperations(ops) {
-            this.operations = ops;
+            const word = ops instanceof BraidWord ? ops : BraidWord.parse(ops, this.numStrands);
+            this.operations = word.toArray();
             this.updatePaths();
             this.render();
             this.updateWordDisplay();
@@ -538,12 +549,12 @@
             // Create demos
             this.demo2 = new Knot3DDemo(
                 document.getElementById('knot-3d-2'),
-                { numStrands: 2, operations: [1, 1, 1] }
+                { numStrands: 2, operations: 'σ₁³' }
             );
 
             this.demo3 = new Knot3DDemo(
                 document.getElementById('knot-3d-3'),
-                { numStrands: 3, operations: [1, 2, 1] }
+                { numStrands: 3, operations: 'σ₁σ₂σ₁' }
             );
 
             this.demo2.updateWordDisplay();
@@ -561,16 +572,16 @@
         applyPreset(preset) {
             const presets = {
                 'simple': {
-                    ops2: [1, 1],
-                    ops3: [1, 1]
+                    ops2: 'σ₁²',
+                    ops3: 'σ₁²'
                 },
                 'yang-baxter': {
-                    ops2: [1, -1, 1],
-                    ops3: [1, 2, 1]
+                    ops2: 'σ₁σ₁⁻¹σ₁',
+                    ops3: 'σ₁σ₂σ₁'
                 },
                 'complex': {
-                    ops2: [1, 1, 1, -1, 1],
-                    ops3: [1, 2, -1, 2, 1, -2]
+                    ops2: 'σ₁³σ₁⁻¹σ₁',
+                    ops3: 'σ₁σ₂σ₁⁻¹σ₂σ₁σ₂⁻¹'
                 }
             };
 
@@ -597,65 +608,26 @@
             this.container = container;
             this.currentKnot = 'trefoil';
 
-            // Famous knots defined by their braid words
-            // When closed (connecting top to bottom), these create the knots
-            this.knots = {
-                'unknot': {
-                    name: 'Unknot',
-                    description: 'The trivial knot — just a simple loop',
-                    operations: [],
-                    numStrands: 2,
-                    notation: 'ε (identity)',
-                    crossingNumber: 0,
-                    facts: 'Any knot that can be untangled to a circle is an unknot'
-                },
-                'trefoil': {
-                    name: 'Trefoil Knot',
-                    description: 'The simplest non-trivial knot',
-                    operations: [1, 1, 1],
-                    numStrands: 2,
-                    notation: 'σ₁³',
-                    crossingNumber: 3,
-                    facts: 'Found in Celtic art, Buddhist symbols, and your shoelaces!'
-                },
-                'figure8': {
-                    name: 'Figure-8 Knot',
-                    description: 'The second simplest knot',
-                    operations: [1, -2, 1, -2],
-                    numStrands: 3,
-                    notation: 'σ₁σ₂⁻¹σ₁σ₂⁻¹',
-                    crossingNumber: 4,
-                    facts: 'Most commonly used stopper knot by sailors and climbers'
-                },
-                'cinquefoil': {
-                    name: 'Cinquefoil Knot',
-                    description: 'A 5-crossing torus knot',
-                    operations: [1, 1, 1, 1, 1],
-                    numStrands: 2,
-                    notation: 'σ₁⁵',
-                    crossingNumber: 5,
-                    facts: 'Also called the Solomon\'s Seal knot or pentafoil'
-                },
-                'granny': {
-                    name: 'Granny Knot',
-                    description: 'Two trefoils composed the wrong way',
-                    operations: [1, 1, 1, 1, 1, 1],
-                    numStrands: 2,
-                    notation: 'σ₁⁶',
-                    crossingNumber: 6,
-                    facts: 'Slips under tension — never use for safety-critical knots!'
-                },
-                'stevedore': {
-                    name: 'Stevedore Knot',
-                    description: 'A stopper knot used by dock workers',
-                    operations: [1, 1, -2, 1, -2, 1],
-                    numStrands: 3,
-                    notation: 'σ₁²σ₂⁻¹σ₁σ₂⁻¹σ₁',
-                    crossingNumber: 6,
-                    facts: 'Larger and more secure than the figure-8 knot'
-                }
+            // Famous knots defined by their braid words (parsed from the notation)
+            // When closed (connecting top to bottom), these create the knots;
+            // copied so the explorer's edits stay out of FAMOUS_KNOTS
+            this.knots = {};
+            for (const [key, knot] of Object.entries(FAMOUS_KNOTS)) {
+                this.knots[key] = { ...knot };
+            }
+            this.knots.live = {
+                name: 'Live Leash Tangle',
+                description: 'The closure of the braid the dogs are weaving right now',
+                numStrands: 3,
+                notation: 'ε',
+                crossingNumber: '—',
+                facts: ''
             };
 
+            for (const knot of Object.values(this.knots)) {
+                knot.operations = BraidWord.parse(knot.notation, knot.numStrands).toArray();
+            }
+
             this.setup();
         }
 
@@ -687,6 +659,22 @@
                                     <span class="stat-label">Crossing number:</span>
                                     <span class="stat-value knot-crossings"></span>
                                 </div>
+                                <div class="knot-stat">
+                                    <span class="stat-label">Alexander Δ(t):</span>
+                                    <span class="stat-value knot-polynomial knot-alexander"></span>
+                                </div>
+                                <div class="knot-stat">
+                                    <span class="stat-label">Jones V(t):</span>
+                                    <span class="stat-value knot-polynomial knot-jones"></span>
+                                </div>
+                                <div class="knot-stat">
+                                    <span class="stat-label">Signature / determinant:</span>
+                                    <span class="stat-value knot-signature"></span>
+                                </div>
+                                <div class="knot-stat">
+                                    <span class="stat-label">Identified as:</span>
+                                    <span class="stat-value knot-identified"></span>
+                                </div>
                             </div>
                             <p class="knot-facts"></p>
                             <div class="knot-actions">
@@ -715,6 +703,9 @@
                         b.classList.remove('active'));
                     btn.classList.add('active');
                     this.currentKnot = btn.dataset.knot;
+                    if (this.currentKnot === 'live') {
+                        this.refreshLiveKnot();
+                    }
                     this.progress = 1;
                     this.updateDisplay();
                 });
@@ -782,14 +773,66 @@
             this.startAutoRotate();
         }
 
+        /**
+         * Copy the simulation's current braid into the 'live' entry
+         */
+        refreshLiveKnot() {
+            const braid = liveBraidSource ? liveBraidSource() : null;
+            const live = this.knots.live;
+            if (!braid) {
+                live.facts = 'Start the leash simulation to weave a tangle';
+                return;
+            }
+
+            live.operations = braid.toArray();
+            live.numStrands = braid.numStrands;
+            live.notation = braid.toString();
+            live.crossingNumber = braid.length > 0 ? `≤ ${braid.reduce().length}` : 0;
+
+            const { closure } = this.computeInvariants(live);
+            if (!closure) {
+                live.facts = 'The tangle is too long to identify; simplify it first';
+            } else if (closure.identified) {
+                live.facts = `The closed-up leashes form the ${closure.name}`;
+            } else {
+                const kind = closure.components === 1 ? 'knot' : `${closure.components}-component link`;
+                live.facts = `The closed-up leashes form a ${kind} that is not in the bundled table`;
+            }
+        }
+
+        /**
+         * Alexander and Jones polynomials of the knot's braid closure, and
+         * what BraidClosure identifies it as
+         */
+        computeInvariants(knot) {
+            const braid = BraidWord.parse(knot.operations, knot.numStrands);
+            return {
+                alexander: braid.alexanderPolynomial(),
+                jones: braid.jonesPolynomial(),
+                closure: BraidClosure.identify(braid)
+            };
+        }
+
         updateDisplay() {
             const knot = this.knots[this.currentKnot];
+            const invariants = this.computeInvariants(knot);
 
             // Update info panel
             this.container.querySelector('.knot-title').textContent = knot.name;
             this.container.querySelector('.knot-description').textContent = knot.description;
             this.container.querySelector('.knot-notation').textContent = knot.notation;
             this.container.querySelector('.knot-crossings').textContent = knot.crossingNumber;
+            this.container.querySelector('.knot-alexander').textContent = invariants.alexander.toString();
+            this.container.querySelector('.knot-jones').textContent = invariants.jones.toString('t', 2);
+            const closure = invariants.closure;
+            this.container.querySelector('.knot-signature').textContent = closure
+                ? `${closure.signature} / ${closure.determinant}`
+                : '—';
+            let identified = closure ? closure.name : 'too many crossings';
+            if (closure && closure.parts.length === 1 && closure.parts[0].id) {
+                identified += ` (${BraidClosure.formatId(closure.parts[0].id)})`;
+            }
+            this.container.querySelector('.knot-identified').textContent = identified;
             this.container.querySelector('.knot-facts').textContent = '💡 ' + knot.facts;
 
             // Update generator for correct number of strands
@@ -1013,6 +1056,12 @@
                             <button class="gen-btn gen-sigma2" data-op="2">σ₂</button>
                             <button class="gen-btn gen-sigma2-inv" data-op="-2">σ₂⁻¹</button>
                         </div>
+                        <div class="generator-row paste">
+                            <input type="text" class="gen-paste-input"
+                                   placeholder="Paste a braid: σ₁σ₂⁻¹, s1 s2^-1, [1,-2], aB">
+                            <button class="gen-btn gen-paste">Load</button>
+                        </div>
+                        <div class="generator-paste-error"></div>
                         <div class="generator-row actions">
                             <button class="gen-btn gen-undo">↩ Undo</button>
                             <button class="gen-btn gen-reset">↺ Clear</button>
@@ -1053,6 +1102,15 @@
                 });
             });
 
+            // Paste box
+            const pasteInput = this.container.querySelector('.gen-paste-input');
+            this.container.querySelector('.gen-paste').addEventListener('click', () => {
+                this.loadWord(pasteInput.value);
+            });
+            pasteInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.loadWord(pasteInput.value);
+            });
+
             // Undo button
             this.container.querySelector('.gen-undo').addEventListener('click', () => {
                 if (this.operations.length > 0) {
@@ -1098,6 +1156,27 @@
             });
         }
 
+        /**
+         * Replace the braid with a pasted word in any BraidWord.parse notation
+         */
+        loadWord(text) {
+            const errorDisplay = this.container.querySelector('.generator-paste-error');
+            try {
+                const word = BraidWord.parse(text, 3);
+                if (word.numStrands > 3) {
+                    throw new Error('Only σ₁ and σ₂ fit on three strands');
+                }
+                if (word.length > this.maxOperations) {
+                    throw new Error(`At most ${this.maxOperations} crossings`);
+                }
+                this.operations = word.toArray();
+                errorDisplay.textContent = '';
+                this.updateDisplay();
+            } catch (e) {
+                errorDisplay.textContent = e.message;
+            }
+        }
+
         updateDisplay() {
             // Update word display
             if (this.operations.length === 0) {
@@ -1149,7 +1228,8 @@
         Knot3DRenderer,
         BraidGeneratorBuilder,
         FamousKnotsExplorer,
-        ClosedKnotRenderer
+        ClosedKnotRenderer,
+        setLiveBraidSource
     };
 
     // Auto-initialize
@@ -10,6 +10,7 @@
     let renderer = null;
     let lastTime = 0;
     let animationId = null;
+    let viewedMoment = null; // Braid history node of the logged crossing shown instead of the live tangle
     const USE_3D_RENDERER = true; // Toggle between 2D and 3D rendering
 
     // DOM elements
@@ -25,11 +26,24 @@
         pauseBtn: null,
         crossingCount: null,
         tangleMetric: null,
+        tangleMetricLabel: null,
+        tangleMetricStat: null,
+        tangleMetricSelect: null,
         activeTangles: null,
         capstanFriction: null,
         timeElapsed: null,
         braidWord: null,
+        braidPermutation: null,
+        burauMatrix: null,
+        tangleType: null,
+        conjugacyClass: null,
+        pairWindings: null,
+        closureType: null,
+        detailedStats: [],
         eventLog: null,
+        historyBanner: null,
+        historyBannerText: null,
+        historyLiveBtn: null,
         crossingAlert: null,
         tabs: null,
         // State cards
@@ -56,11 +70,24 @@
         elements.pauseBtn = document.getElementById('pauseBtn');
         elements.crossingCount = document.getElementById('crossingCount');
         elements.tangleMetric = document.getElementById('tangleMetric');
+        elements.tangleMetricLabel = document.getElementById('tangleMetricLabel');
+        elements.tangleMetricStat = document.getElementById('tangleMetricStat');
+        elements.tangleMetricSelect = document.getElementById('tangleMetricSelect');
         elements.activeTangles = document.getElementById('activeTangles');
         elements.capstanFriction = document.getElementById('capstanFriction');
         elements.timeElapsed = document.getElementById('timeElapsed');
         elements.braidWord = document.getElementById('braidWord');
+        elements.braidPermutation = document.getElementById('braidPermutation');
+        elements.burauMatrix = document.getElementById('burauMatrix');
+        elements.tangleType = document.getElementById('tangleType');
+        elements.conjugacyClass = document.getElementById('conjugacyClass');
+        elements.pairWindings = document.getElementById('pairWindings');
+        elements.closureType = document.getElementById('closureType');
+        elements.detailedStats = document.querySelectorAll('.detailed-stat');
         elements.eventLog = document.getElementById('eventLog');
+        elements.historyBanner = document.getElementById('historyBanner');
+        elements.historyBannerText = document.getElementById('historyBannerText');
+        elements.historyLiveBtn = document.getElementById('historyLiveBtn');
         elements.crossingAlert = document.getElementById('crossingAlert');
         elements.tabs = document.querySelectorAll('.tab');
 
@@ -98,9 +125,14 @@
         const canvasHeight = renderer.height || elements.canvas.height || 600;
         simulation.init(canvasWidth, canvasHeight);
 
+        // Let the famous knots explorer show the live tangle's closure
+        if (window.Knot3D) {
+            window.Knot3D.setLiveBraidSource(() => simulation.braidTracker.braidWord);
+        }
+
         // Set up callbacks
         simulation.onCrossing(handleCrossing);
-        simulation.onStatsUpdate(updateStats);
+        simulation.onStatsUpdate(handleStatsUpdate);
 
         // Set up UI events
         setupEventListeners();
@@ -223,8 +255,47 @@
         // Add to log
         addEventToLog(event);
 
-        // Update stats immediately
-        updateStats(simulation.getStats());
+        // Update stats immediately (or what has happened since the moment on show)
+        if (viewedMoment === null) {
+            updateStats(simulation.getStats());
+        } else {
+            showMoment(viewedMoment);
+        }
+    }
+
+    /**
+     * Periodic stats from the simulation, held back while a past moment is shown
+     */
+    function handleStatsUpdate(stats) {
+        if (viewedMoment === null) {
+            updateStats(stats);
+        }
+    }
+
+    /**
+     * Show the tangle as it was right after a logged crossing, or the live one (node = null)
+     * @param {Object|null} node - The braid history node the crossing recorded
+     *        (looked up by id: crossings found in the same step share a time)
+     */
+    function showMoment(node) {
+        viewedMoment = node;
+        elements.eventLog.querySelectorAll('.event').forEach(entry => {
+            entry.classList.toggle('selected', node !== null && Number(entry.dataset.node) === node.id);
+        });
+
+        if (node === null) {
+            elements.historyBanner.hidden = true;
+            updateStats(simulation.getStats());
+            return;
+        }
+
+        const tracker = simulation.braidTracker;
+        const since = tracker.diff(node, tracker.history.cursor);
+        elements.historyBannerText.textContent = `Tangle at ${node.time.toFixed(1)}s — ` + (since.length > 0
+            ? `crossings since: ${since.toDisplayString(12)}`
+            : 'nothing has crossed since');
+        elements.historyBanner.hidden = false;
+        updateStats(simulation.getStatsAt(node));
     }
 
     /**
@@ -249,6 +320,8 @@
     function addEventToLog(event) {
         const logEntry = document.createElement('div');
         logEntry.className = 'event';
+        logEntry.dataset.node = event.nodeId;
+        logEntry.title = 'Show the tangle as it was right after this crossing';
         logEntry.textContent = `[${event.time.toFixed(1)}s] ${event.description}`;
 
         // Insert at top
@@ -265,9 +338,39 @@
      */
     function updateStats(stats) {
         elements.crossingCount.textContent = stats.totalCrossings;
-        elements.tangleMetric.textContent = stats.complexity;
+        elements.tangleMetric.textContent = stats.tangleMetric.display;
+        elements.tangleMetricLabel.textContent = stats.tangleMetric.label;
         elements.timeElapsed.textContent = stats.elapsedTimeFormatted;
         elements.braidWord.textContent = stats.braidWord;
+        elements.braidPermutation.textContent = stats.permutation;
+
+        // Burau, type, class, closure and the expensive metrics are left out for long braids until asked for
+        const detailed = stats.burau !== undefined;
+        const metricPending = stats.tangleMetric.value === null;
+        elements.detailedStats.forEach(stat => stat.classList.toggle('pending',
+            stat === elements.tangleMetricStat ? metricPending : !detailed));
+        elements.tangleMetric.title = metricPending
+            ? 'Skipped automatically for long braids, which take a while to analyse'
+            : '';
+        if (detailed) {
+            updateDetailedStats(stats);
+        } else {
+            for (const element of [elements.burauMatrix, elements.conjugacyClass, elements.closureType]) {
+                element.textContent = 'click to compute';
+                element.title = 'Skipped automatically for long braids, which take a while to analyse';
+            }
+            elements.tangleType.textContent = stats.isTrivial ? 'Untangled' : 'click to compute';
+            elements.tangleType.style.color = stats.isTrivial ? '#28a745' : '';
+        }
+
+        // Pairwise windings, e.g. "A & C wound twice"
+        const wound = stats.linkingNumbers.filter(pair => pair.linking !== 0);
+        elements.pairWindings.textContent = wound.length > 0
+            ? wound.map(describeWinding).join('; ')
+            : 'none';
+        elements.pairWindings.title = stats.isPure
+            ? 'Every leash is back in its starting order, so these are whole turns'
+            : 'Some leashes have swapped places; half turns finish when they swap back';
 
         // Update tangle-specific stats
         const activeTangleCount = stats.activeTangles || 0;
@@ -294,16 +397,60 @@
             elements.capstanFriction.style.color = '#dc3545'; // Red - hard to untangle!
         }
 
-        // Color coding for complexity
-        if (stats.complexity === 0) {
+        // Color coding for the selected tangle metric
+        const [untangled, mild] = stats.tangleMetric.thresholds;
+        if (metricPending) {
+            elements.tangleMetric.style.color = '';
+        } else if (stats.tangleMetric.value <= untangled) {
             elements.tangleMetric.style.color = '#28a745'; // Green - untangled
-        } else if (stats.complexity < 5) {
+        } else if (stats.tangleMetric.value < mild) {
             elements.tangleMetric.style.color = '#ffc107'; // Yellow - mild tangle
         } else {
             elements.tangleMetric.style.color = '#dc3545'; // Red - seriously tangled
         }
     }
 
+    /**
+     * The stats that need the detailed invariants (see Simulation.wantsDetailedStats)
+     */
+    function updateDetailedStats(stats) {
+        // Burau entries grow quickly; show the full matrix on hover
+        elements.burauMatrix.textContent = stats.burau.length > 120
+            ? stats.burau.slice(0, 117) + '...'
+            : stats.burau;
+        elements.burauMatrix.title = stats.burau;
+        elements.conjugacyClass.textContent = stats.conjugacyClass || '?';
+        elements.conjugacyClass.title = 'Same ID = same tangle up to relabelling the leashes';
+
+        // Nielsen–Thurston type as a severity category
+        const severity = stats.isTrivial
+            ? { label: 'Untangled', color: '#28a745' }
+            : {
+                'periodic': { label: 'Periodic', color: '#ffc107' },           // Rotate the group to undo
+                'reducible': { label: 'Reducible', color: '#fd7e14' },         // Some leashes tangled as a bundle
+                'pseudo-Anosov': { label: 'Pseudo-Anosov', color: '#dc3545' }  // Genuinely mixed
+            }[stats.nielsenThurston];
+        elements.tangleType.textContent = severity.label;
+        elements.tangleType.style.color = severity.color;
+
+        // Knot or link formed by joining each dog's end of the leash back to the hand
+        const closure = stats.closure;
+        elements.closureType.textContent = closure ? closure.name : 'too tangled to name';
+        elements.closureType.title = closure
+            ? `${closure.components} component(s), determinant ${closure.determinant}, signature ${closure.signature}`
+            : 'Identification is skipped for long braid words';
+    }
+
+    /**
+     * "A & C wound twice" from a getLinkingNumbers() entry
+     */
+    function describeWinding(pair) {
+        const turns = Math.abs(pair.linking);
+        const count = { 0.5: 'half a turn', 1: 'once', 2: 'twice' }[turns] || `${turns} times`;
+        const direction = pair.linking > 0 ? '' : ' the other way';
+        return `${pair.names[0]} & ${pair.names[1]} wound ${count}${direction}`;
+    }
+
     /**
      * Set up UI event listeners
      */
@@ -334,15 +481,38 @@
             simulation.setConfig('leashLength', value);
         });
 
+        // Long braids leave out the detailed stats and expensive metrics; clicking one computes them for the tangle on show
+        elements.detailedStats.forEach(stat => stat.addEventListener('click', () => {
+            if (!stat.classList.contains('pending')) return;
+            updateStats(viewedMoment === null
+                ? simulation.getStats({ detailed: true })
+                : simulation.getStatsAt(viewedMoment, { detailed: true }));
+        }));
+
+        // Tangle metric selector
+        elements.tangleMetricSelect.addEventListener('change', (e) => {
+            simulation.setConfig('tangleMetric', e.target.value);
+            updateStats(simulation.getStats());
+        });
+
         // Reset button
         elements.resetBtn.addEventListener('click', () => {
             const canvasWidth = renderer.width || elements.canvas.width || 800;
             const canvasHeight = renderer.height || elements.canvas.height || 600;
             simulation.reset(canvasWidth, canvasHeight);
-            elements.eventLog.innerHTML = '<div class="event">[0.0s] Simulation reset — walk begins!</div>';
+            elements.eventLog.innerHTML = `<div class="event" data-node="${simulation.braidTracker.history.cursor.id}">[0.0s] Simulation reset — walk begins!</div>`;
             elements.pauseBtn.textContent = 'Pause'; // Reset pause button state
-            updateStats(simulation.getStats());
+            showMoment(null);
+        });
+
+        // Clicking a log entry shows the tangle at that moment; clicking it again goes back to live
+        elements.eventLog.addEventListener('click', (e) => {
+            const entry = e.target.closest('.event');
+            if (!entry || entry.dataset.node === undefined) return;
+            const node = simulation.braidTracker.history.node(Number(entry.dataset.node));
+            showMoment(node === viewedMoment ? null : node);
         });
+        elements.historyLiveBtn.addEventListener('click', () => showMoment(null));
 
         // Pause button
         elements.pauseBtn.addEventListener('click', () => {
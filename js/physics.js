@@ -11,8 +11,18 @@
  * This implementation uses:
  * - Verlet integration for particle updates
  * - Gauss-Seidel iteration for constraint solving (sequential, fast convergence)
+ * - Optionally XPBD (Macklin et al. 2016, "XPBD: Position-Based Simulation of
+ *   Compliant Constrained Dynamics") with substeps: constraints take a
+ *   compliance in physical units (inverse stiffness, length per unit force)
+ *   and accumulate Lagrange multipliers, with one solver pass per substep
+ *   (Macklin et al. 2019, "Small Steps in Physics Simulation"), so how stiff
+ *   a leash feels is set by its compliance rather than by an iteration
+ *   count; smaller substeps bring it closer to that
  * - Distance constraints for rope segments
  * - Collision constraints for ground and obstacles
+ * - A third dimension: the plane (x, y) is the top-down view and z is
+ *   height above the ground, so ropes sag, lie on the ground and rest on
+ *   top of each other, and over/under at a crossing is real geometry
  * - TangleConstraints for physical rope interlocking
  *
  * KEY INSIGHT: Real tangles create PHYSICAL CONSTRAINTS
@@ -21,6 +31,8 @@
  * - Transfers forces between ropes
  * - Tightens under tension
  * - Has friction that resists sliding
+ * - Slides along both ropes (at continuous positions s and t, not fixed
+ *   particles) when the pull along a rope beats that friction
  * - Fundamentally changes what movements are possible
  */
 
@@ -28,11 +40,18 @@
  * A particle in the rope simulation
  */
 class Particle {
-    constructor(x, y, mass = 1.0) {
+    constructor(x, y, mass = 1.0, z = 0) {
         this.position = new Vec2(x, y);
         this.prevPosition = new Vec2(x, y);
         this.velocity = Vec2.zero();
 
+        // Height above the ground, integrated alongside the top-down position
+        // Comparing z where two ropes cross tells which one is "over"
+        this.z = z;
+        this.prevZ = z;
+        this.predictedZ = z;
+        this.accelerationZ = 0;
+
         // Inverse mass: 0 = infinite mass (pinned/fixed)
         this.inverseMass = mass > 0 ? 1.0 / mass : 0;
         this.mass = mass;
@@ -45,10 +64,6 @@ class Particle {
 
         // Damping (0-1, higher = more damping)
         this.damping = 0.01;
-
-        // Height (z-coordinate) for 3D crossing detection
-        // This determines which rope is "over" vs "under" when they cross
-        this.height = 0;
     }
 
     /**
@@ -73,18 +88,37 @@ class Particle {
     /**
      * Apply force (accumulated until integration step)
      */
-    applyForce(force) {
+    applyForce(force, forceZ = 0) {
         if (this.inverseMass > 0) {
             this.acceleration.addMut(force.mul(this.inverseMass));
+            this.accelerationZ += forceZ * this.inverseMass;
         }
     }
 
+    /**
+     * 3D distance between predicted positions (during constraint solving)
+     */
+    predictedDistanceTo(other) {
+        const dz = other.predictedZ - this.predictedZ;
+        return Math.sqrt(this.predicted.distanceToSquared(other.predicted) + dz * dz);
+    }
+
+    /**
+     * 3D distance between current positions
+     */
+    distanceTo(other) {
+        const dz = other.z - this.z;
+        return Math.sqrt(this.position.distanceToSquared(other.position) + dz * dz);
+    }
+
     /**
      * Verlet integration step - predict new position
+     * @param {number} damping - Share of velocity lost in this step (defaults to this.damping)
      */
-    integrate(dt) {
+    integrate(dt, damping = this.damping) {
         if (this.inverseMass === 0) {
             this.predicted.copy(this.position);
+            this.predictedZ = this.z;
             return;
         }
 
@@ -92,15 +126,18 @@ class Particle {
         this.velocity = this.position.sub(this.prevPosition).div(dt);
 
         // Apply damping
-        this.velocity.mulMut(1.0 - this.damping);
+        this.velocity.mulMut(1.0 - damping);
 
         // Predict new position
         this.predicted = this.position
             .add(this.velocity.mul(dt))
             .add(this.acceleration.mul(dt * dt));
+        this.predictedZ = this.z + (this.z - this.prevZ) * (1.0 - damping) +
+            this.accelerationZ * dt * dt;
 
         // Clear acceleration for next frame
         this.acceleration.set(0, 0);
+        this.accelerationZ = 0;
     }
 
     /**
@@ -111,6 +148,8 @@ class Particle {
 
         this.prevPosition.copy(this.position);
         this.position.copy(this.predicted);
+        this.prevZ = this.z;
+        this.z = this.predictedZ;
 
         // Derive velocity from position change
         this.velocity = this.position.sub(this.prevPosition).div(dt);
@@ -119,11 +158,14 @@ class Particle {
     /**
      * Teleport to new position (resets velocity)
      */
-    teleport(x, y) {
+    teleport(x, y, z = this.z) {
         this.position.set(x, y);
         this.prevPosition.set(x, y);
         this.predicted.set(x, y);
         this.velocity.set(0, 0);
+        this.z = z;
+        this.prevZ = z;
+        this.predictedZ = z;
     }
 }
 
@@ -132,11 +174,14 @@ class Particle {
  * Maintains rest length between particles
  */
 class DistanceConstraint {
-    constructor(particleA, particleB, restLength = null, stiffness = 1.0) {
+    constructor(particleA, particleB, restLength = null, stiffness = 1.0, compliance = 0) {
         this.particleA = particleA;
         this.particleB = particleB;
-        this.restLength = restLength ?? particleA.position.distanceTo(particleB.position);
-        this.stiffness = stiffness; // 0-1, how strictly to enforce
+        this.restLength = restLength ?? particleA.distanceTo(particleB);
+        this.stiffness = stiffness; // 0-1, how strictly to enforce (PBD)
+        this.compliance = compliance; // Inverse stiffness, length per unit force (XPBD; 0 = rigid)
+        this.lambda = 0;              // Accumulated Lagrange multiplier (XPBD)
+        this.stretch = 0;             // Length past rest when last solved: the rope's tension here
     }
 
     /**
@@ -145,21 +190,53 @@ class DistanceConstraint {
      */
     solve() {
         const delta = this.particleB.predicted.sub(this.particleA.predicted);
-        const distance = delta.length;
+        const deltaZ = this.particleB.predictedZ - this.particleA.predictedZ;
+        const distance = Math.sqrt(delta.lengthSquared + deltaZ * deltaZ);
 
         if (distance < 1e-6) return; // Avoid division by zero
 
         const error = distance - this.restLength;
+        this.stretch = Math.max(0, error);
         const wSum = this.particleA.inverseMass + this.particleB.inverseMass;
 
         if (wSum < 1e-6) return; // Both particles pinned
 
         // Correction vector
-        const correction = delta.mul((error * this.stiffness) / (distance * wSum));
+        const scale = (error * this.stiffness) / (distance * wSum);
+        const correction = delta.mul(scale);
 
         // Apply weighted corrections
         this.particleA.predicted.addMut(correction.mul(this.particleA.inverseMass));
         this.particleB.predicted.subMut(correction.mul(this.particleB.inverseMass));
+        this.particleA.predictedZ += deltaZ * scale * this.particleA.inverseMass;
+        this.particleB.predictedZ -= deltaZ * scale * this.particleB.inverseMass;
+    }
+
+    /**
+     * XPBD projection over a (sub)step of length dt
+     * C = distance - restLength; the multiplier accumulates until lambda is reset
+     */
+    solveXPBD(dt) {
+        const delta = this.particleB.predicted.sub(this.particleA.predicted);
+        const deltaZ = this.particleB.predictedZ - this.particleA.predictedZ;
+        const distance = Math.sqrt(delta.lengthSquared + deltaZ * deltaZ);
+
+        if (distance < 1e-6) return;
+        this.stretch = Math.max(0, distance - this.restLength);
+
+        const wSum = this.particleA.inverseMass + this.particleB.inverseMass;
+        if (wSum < 1e-6) return;
+
+        const alpha = this.compliance / (dt * dt);
+        const deltaLambda = (-(distance - this.restLength) - alpha * this.lambda) / (wSum + alpha);
+        this.lambda += deltaLambda;
+
+        // Gradient is the unit vector from A to B (and its negative for A)
+        const scale = deltaLambda / distance;
+        this.particleA.predicted.subMut(delta.mul(scale * this.particleA.inverseMass));
+        this.particleB.predicted.addMut(delta.mul(scale * this.particleB.inverseMass));
+        this.particleA.predictedZ -= deltaZ * scale * this.particleA.inverseMass;
+        this.particleB.predictedZ += deltaZ * scale * this.particleB.inverseMass;
     }
 }
 
@@ -168,29 +245,44 @@ class DistanceConstraint {
  * Penalizes deviation from straight line between three particles
  */
 class BendingConstraint {
-    constructor(particleA, particleB, particleC, stiffness = 0.5) {
+    constructor(particleA, particleB, particleC, stiffness = 0.5, compliance = 0.005) {
         this.particleA = particleA;
         this.particleB = particleB; // Middle particle
         this.particleC = particleC;
-        this.stiffness = stiffness;
+        this.stiffness = stiffness;   // PBD push strength
+        this.compliance = compliance; // XPBD inverse stiffness
+        this.lambda = 0;
+
+        // XPBD rest state: how far the middle particle sits from the midpoint of its neighbours
+        this.restOffset = this.midpointOffset(
+            particleA.position, particleB.position, particleC.position,
+            particleA.z, particleB.z, particleC.z
+        ).length;
 
         // Calculate rest angle (usually ~180 degrees for a rope)
         this.restAngle = this.calculateAngle(
-            particleA.position, particleB.position, particleC.position
+            particleA.position, particleB.position, particleC.position,
+            particleA.z, particleB.z, particleC.z
         );
     }
 
-    calculateAngle(a, b, c) {
+    /**
+     * Angle ABC in 3D, from top-down positions and heights
+     */
+    calculateAngle(a, b, c, za = 0, zb = 0, zc = 0) {
         const ba = a.sub(b);
         const bc = c.sub(b);
-        return Math.acos(Math.max(-1, Math.min(1, ba.dot(bc) / (ba.length * bc.length + 1e-6))));
+        const baZ = za - zb;
+        const bcZ = zc - zb;
+        const lengths = Math.sqrt(ba.lengthSquared + baZ * baZ) * Math.sqrt(bc.lengthSquared + bcZ * bcZ);
+        return Math.acos(Math.max(-1, Math.min(1, (ba.dot(bc) + baZ * bcZ) / (lengths + 1e-6))));
     }
 
     solve() {
+        const { particleA, particleB, particleC } = this;
         const currentAngle = this.calculateAngle(
-            this.particleA.predicted,
-            this.particleB.predicted,
-            this.particleC.predicted
+            particleA.predicted, particleB.predicted, particleC.predicted,
+            particleA.predictedZ, particleB.predictedZ, particleC.predictedZ
         );
 
         const angleError = currentAngle - this.restAngle;
@@ -198,15 +290,60 @@ class BendingConstraint {
         if (Math.abs(angleError) < 0.01) return;
 
         // Simple center-push for bending resistance
-        const center = this.particleA.predicted
-            .add(this.particleC.predicted)
+        const center = particleA.predicted
+            .add(particleC.predicted)
             .div(2);
+        const centerZ = (particleA.predictedZ + particleC.predictedZ) / 2;
 
-        const pushDir = this.particleB.predicted.sub(center);
+        const pushDir = particleB.predicted.sub(center);
+        const pushDirZ = particleB.predictedZ - centerZ;
+        const pushLength = Math.sqrt(pushDir.lengthSquared + pushDirZ * pushDirZ);
         const pushAmount = angleError * this.stiffness * 0.1;
 
-        if (this.particleB.inverseMass > 0) {
-            this.particleB.predicted.addMut(pushDir.normalize().mul(pushAmount));
+        if (particleB.inverseMass > 0 && pushLength > 0) {
+            particleB.predicted.addMut(pushDir.mul(pushAmount / pushLength));
+            particleB.predictedZ += pushDirZ * pushAmount / pushLength;
+        }
+    }
+
+    /**
+     * Offset of B from the midpoint of A and C in 3D: { x, y, z, length }
+     */
+    midpointOffset(a, b, c, za, zb, zc) {
+        const x = b.x - (a.x + c.x) / 2;
+        const y = b.y - (a.y + c.y) / 2;
+        const z = zb - (za + zc) / 2;
+        return { x, y, z, length: Math.sqrt(x * x + y * y + z * z) };
+    }
+
+    /**
+     * XPBD projection: C = |B - (A + C) / 2| - restOffset, the same
+     * centre push as solve() written as a proper constraint
+     */
+    solveXPBD(dt) {
+        const { particleA, particleB, particleC } = this;
+        const offset = this.midpointOffset(
+            particleA.predicted, particleB.predicted, particleC.predicted,
+            particleA.predictedZ, particleB.predictedZ, particleC.predictedZ
+        );
+        if (offset.length < 1e-6) return;
+
+        // Moving B by n moves the offset by n; moving A or C moves it by -n/2
+        const wSum = particleB.inverseMass + (particleA.inverseMass + particleC.inverseMass) / 4;
+        if (wSum < 1e-6) return;
+
+        const alpha = this.compliance / (dt * dt);
+        const deltaLambda = (-(offset.length - this.restOffset) - alpha * this.lambda) / (wSum + alpha);
+        this.lambda += deltaLambda;
+
+        const nx = offset.x / offset.length;
+        const ny = offset.y / offset.length;
+        const nz = offset.z / offset.length;
+        for (const [particle, gradient] of [[particleB, 1], [particleA, -0.5], [particleC, -0.5]]) {
+            const amount = deltaLambda * gradient * particle.inverseMass;
+            particle.predicted.x += nx * amount;
+            particle.predicted.y += ny * amount;
+            particle.predictedZ += nz * amount;
         }
     }
 }
@@ -223,6 +360,8 @@ class BendingConstraint {
  * - Has friction that resists ropes sliding through each other
  *
  * The tangle effectively creates a "virtual joint" between the two ropes.
+ * It binds them in the top-down plane; rope contact keeps them stacked one
+ * above the other where they cross.
  *
  * KEY PHYSICS: Capstan Equation
  * Real rope friction follows: T₂ = T₁ × e^(μθ)
@@ -230,24 +369,38 @@ class BendingConstraint {
  * This is why tangled ropes get exponentially harder to untangle as they wrap.
  */
 class TangleConstraint {
-    constructor(particleA, particleB, ropeA, ropeB, crossingPoint, options = {}) {
-        // The two particles closest to the crossing point (one from each rope)
-        this.particleA = particleA;
-        this.particleB = particleB;
+    /**
+     * @param {Rope} ropeA
+     * @param {Rope} ropeB
+     * @param {number} s - Where the contact sits along ropeA, in particle
+     *                     indices (3.25 is a quarter of the way from particle 3 to 4)
+     * @param {number} t - The same along ropeB
+     * @param {Vec2} crossingPoint
+     * @param {Object} options
+     */
+    constructor(ropeA, ropeB, s, t, crossingPoint, options = {}) {
         this.ropeA = ropeA;
         this.ropeB = ropeB;
 
+        // Continuous contact parameters: the contact slides along both ropes (see slide)
+        this.s = s;
+        this.t = t;
+
         // Where the tangle formed
         this.crossingPoint = crossingPoint.clone();
 
         // Options with defaults
         this.baseFriction = options.friction ?? 0.3;     // Base friction coefficient (μ)
-        this.stiffness = options.stiffness ?? 0.9;       // How tightly locked
+        this.stiffness = options.stiffness ?? 0.9;       // How tightly locked (PBD)
+        this.compliance = options.compliance ?? 0.001;   // Inverse stiffness when unlocked (XPBD)
+        this.lambda = 0;
         this.maxDistance = options.maxDistance ?? 15;    // Max separation before tangle breaks
         this.minDistance = options.minDistance ?? 2;     // Minimum (ropes have thickness)
+        this.slideRate = options.slideRate ?? 0.5;       // Share of the unbalanced pull slid off per 60 fps frame
 
         // Current rest distance at tangle point (can tighten)
-        this.restDistance = particleA.position.distanceTo(particleB.position);
+        const { a, b } = this.getContactPoints();
+        this.restDistance = a.position.distanceTo(b.position);
         this.restDistance = Math.max(this.minDistance, Math.min(this.restDistance, this.maxDistance));
 
         // Wrap angle tracking (critical for Capstan equation)
@@ -264,6 +417,63 @@ class TangleConstraint {
         this.id = TangleConstraint.nextId++;
     }
 
+    /**
+     * The particle of each rope nearest the contact
+     */
+    get particleA() {
+        return this.ropeA.particles[Math.round(this.s)];
+    }
+
+    get particleB() {
+        return this.ropeB.particles[Math.round(this.t)];
+    }
+
+    /**
+     * The segment a contact parameter falls on: its two particles, the
+     * fraction f along it and the predicted contact point
+     */
+    contactOn(rope, u) {
+        const i = Math.min(Math.floor(u), rope.particles.length - 2);
+        const first = rope.particles[i];
+        const second = rope.particles[i + 1];
+        const f = u - i;
+        return { first, second, f, point: first.predicted.lerp(second.predicted, f) };
+    }
+
+    /**
+     * Inverse mass of a contact point, as seen by a correction shared
+     * between its two particles
+     */
+    contactWeight(contact) {
+        const { first, second, f } = contact;
+        return (1 - f) * (1 - f) * first.inverseMass + f * f * second.inverseMass;
+    }
+
+    /**
+     * Move a contact point, each particle taking the share of the
+     * correction its weight in the point gives it
+     */
+    moveContact(contact, correction) {
+        const { first, second, f } = contact;
+        first.predicted.addMut(correction.mul((1 - f) * first.inverseMass));
+        second.predicted.addMut(correction.mul(f * second.inverseMass));
+    }
+
+    /**
+     * Current contact positions and heights on both ropes, for rendering
+     * @returns {{a: {position: Vec2, z: number}, b: {position: Vec2, z: number}}}
+     */
+    getContactPoints() {
+        const at = (rope, u) => {
+            const { first, second, f } = this.contactOn(rope, u);
+            return {
+                position: first.position.lerp(second.position, f),
+                z: first.z + (second.z - first.z) * f
+            };
+        };
+        return { a: at(this.ropeA, this.s), b: at(this.ropeB, this.t) };
+    }
+
     /**
      * Calculate effective friction using Capstan equation
      * T₂ = T₁ × e^(μθ) → effective friction multiplier = e^(μθ)
@@ -277,67 +487,225 @@ class TangleConstraint {
      * This is like a distance constraint but with Capstan friction and tightening
      */
     solve() {
-        const delta = this.particleB.predicted.sub(this.particleA.predicted);
+        const a = this.contactOn(this.ropeA, this.s);
+        const b = this.contactOn(this.ropeB, this.t);
+        const delta = b.point.sub(a.point);
         const distance = delta.length;
 
         if (distance < 1e-6) return;
 
-        // Calculate tension (how much the constraint is being stretched)
-        this.tension = Math.max(0, distance - this.restDistance);
+        this.evolve();
 
-        // Update wrap angle based on movement (ropes can wrap tighter or looser)
-        this.updateWrapAngle();
+        // Calculate correction needed
+        const error = this.getError(distance);
+        if (error === 0) return;
 
-        // If under tension, the tangle tightens (this is the key behavior!)
-        // Capstan effect: higher wrap angle = more friction = tighter lock
-        if (this.tension > 0 && !this.isLocked) {
-            // Tightening rate amplified by Capstan friction
-            const capstanMultiplier = this.getCapstanFriction();
-            const tightenRate = 0.02 * this.tension * Math.min(capstanMultiplier, 3.0);
-            this.restDistance = Math.max(this.minDistance, this.restDistance - tightenRate);
+        const wSum = this.contactWeight(a) + this.contactWeight(b);
+        if (wSum < 1e-6) return;
 
-            // Also increase wrap angle under tension (ropes dig into each other)
-            this.wrapAngle = Math.min(this.maxWrapAngle, this.wrapAngle + this.tension * 0.001);
+        // Apply correction with Capstan friction
+        const effectiveStiffness = this.isLocked ? 1.0 : this.stiffness;
+        const correction = delta.mul((error * effectiveStiffness) / (distance * wSum));
 
-            // Lock if enough tension has been applied
-            if (this.tension > this.lockThreshold) {
-                this.isLocked = true;
+        // Apply less correction = more resistance to movement (friction effect)
+        const effectiveFriction = this.getEffectiveFriction();
+
+        this.moveContact(a, correction.mul(effectiveFriction));
+        this.moveContact(b, correction.mul(-effectiveFriction));
+
+        // Update crossing point to track where the tangle is
+        this.updateCrossingPoint();
+    }
+
+    /**
+     * XPBD projection over a (sub)step of length dt
+     * Locked tangles are rigid; otherwise Capstan friction softens the
+     * compliance the same way it scales down the PBD correction
+     */
+    solveXPBD(dt) {
+        const a = this.contactOn(this.ropeA, this.s);
+        const b = this.contactOn(this.ropeB, this.t);
+        const delta = b.point.sub(a.point);
+        const distance = delta.length;
+
+        if (distance < 1e-6) return;
+
+        const error = this.getError(distance);
+        if (error === 0) return;
+
+        const wSum = this.contactWeight(a) + this.contactWeight(b);
+        if (wSum < 1e-6) return;
+
+        const compliance = this.isLocked ? 0 : this.compliance / this.getEffectiveFriction();
+        const alpha = compliance / (dt * dt);
+        const deltaLambda = (-error - alpha * this.lambda) / (wSum + alpha);
+        this.lambda += deltaLambda;
+
+        const correction = delta.mul(deltaLambda / distance);
+        this.moveContact(a, correction.negate());
+        this.moveContact(b, correction);
+
+        this.updateCrossingPoint();
+    }
+
+    /**
+     * The crossing point is halfway between the two contact points
+     */
+    updateCrossingPoint() {
+        const a = this.contactOn(this.ropeA, this.s);
+        const b = this.contactOn(this.ropeB, this.t);
+        this.crossingPoint = a.point.add(b.point).div(2);
+    }
+
+    /**
+     * Let the contact slide along both ropes, once per step
+     *
+     * A rope wrapped over the other at the contact is a belt over a post:
+     * it slips through when the tension on one side outgrows the other by
+     * more than friction holds. The tensions T⁻ and T⁺ either side are read
+     * from how far the rope's distance constraints there are stretched, and
+     * friction holds up to μ·e^(μθ)·N, with N the tangle's own stretch
+     * pressing the ropes together and e^(μθ) the Capstan wrap. Rope drawn
+     * towards the tighter side brings material from the slacker side to the
+     * contact, so the contact parameter moves that way, by slideRate per
+     * 60 fps frame of the distance that would bring T⁻ - T⁺ back to what
+     * friction holds. Locked tangles do not slide.
+     */
+    slide(dt) {
+        if (!this.isLocked) {
+            const share = 1 - Math.pow(1 - this.slideRate, dt * 60);
+            this.s = this.slideAlong(this.ropeA, this.s, share);
+            this.t = this.slideAlong(this.ropeB, this.t, share);
+        }
+        this.updateCrossingPoint();
+    }
+
+    /**
+     * New contact parameter on a rope after it slips through the contact
+     *
+     * Sliding a distance d hands d of rope from one side to the other,
+     * taking d/n of stretch off each of the n segments on the tight side and
+     * spreading d/m over the m on the slack side, so the step in tension
+     * falls by d·(1/n + 1/m).
+     */
+    slideAlong(rope, u, share) {
+        const { behind, ahead } = this.sideTensions(rope, u);
+        const holding = this.baseFriction * this.getCapstanFriction() * this.tension;
+        const slip = Math.abs(behind.tension - ahead.tension) - holding;
+        if (slip <= 0 || behind.segments === 0 || ahead.segments === 0) return u;
+
+        const distance = slip * behind.segments * ahead.segments / (behind.segments + ahead.segments);
+        return this.advance(rope, u, Math.sign(behind.tension - ahead.tension) * distance * share);
+    }
+
+    /**
+     * Tension in a rope behind and ahead of a contact: the mean stretch the
+     * solver last found in the distance constraints on each side of the
+     * segment it sits on. The stretch is read before projection, since
+     * inextensible leashes end every step at their rest length.
+     * @returns {{behind: {tension: number, segments: number}, ahead: {tension: number, segments: number}}}
+     */
+    sideTensions(rope, u) {
+        const i = Math.min(Math.floor(u), rope.particles.length - 2);
+        const side = (constraints) => ({
+            tension: constraints.reduce((sum, c) => sum + c.stretch, 0) / Math.max(1, constraints.length),
+            segments: constraints.length
+        });
+        return {
+            behind: side(rope.distanceConstraints.slice(0, i)),
+            ahead: side(rope.distanceConstraints.slice(i + 1))
+        };
+    }
+
+    /**
+     * Move a contact parameter a distance along a rope (negative goes
+     * towards its start), crossing particle boundaries segment by segment
+     * and stopping at the rope's ends
+     */
+    advance(rope, u, distance) {
+        const direction = Math.sign(distance);
+        const last = rope.particles.length - 1;
+        let remaining = Math.abs(distance);
+
+        while (remaining > 0) {
+            // The segment ahead of u, and how much of it is left to cross
+            const i = direction > 0 ? Math.floor(u) : Math.ceil(u) - 1;
+            if (i < 0 || i >= last) break;
+            const room = direction > 0 ? i + 1 - u : u - i;
+            const length = rope.particles[i].predictedDistanceTo(rope.particles[i + 1]);
+
+            if (room * length > remaining) {
+                u += direction * remaining / length;
+                break;
             }
+            u = direction > 0 ? i + 1 : i;
+            remaining -= room * length;
         }
+        return Math.max(0, Math.min(last, u));
+    }
 
-        // Calculate correction needed
-        let error;
+    /**
+     * How far the tangle is outside its allowed range (0 when inside)
+     */
+    getError(distance) {
         if (distance > this.restDistance) {
             // Ropes being pulled apart - resist with stiffness
-            error = distance - this.restDistance;
-        } else if (distance < this.minDistance) {
+            return distance - this.restDistance;
+        }
+        if (distance < this.minDistance) {
             // Ropes too close - push apart (they have thickness)
-            error = distance - this.minDistance;
-        } else {
-            // Within acceptable range
-            return;
+            return distance - this.minDistance;
         }
+        // Within acceptable range
+        return 0;
+    }
 
-        const wSum = this.particleA.inverseMass + this.particleB.inverseMass;
-        if (wSum < 1e-6) return;
-
-        // Apply correction with Capstan friction
-        const effectiveStiffness = this.isLocked ? 1.0 : this.stiffness;
-        const correction = delta.mul((error * effectiveStiffness) / (distance * wSum));
+    /**
+     * Share of the correction that gets through Capstan friction
+     */
+    getEffectiveFriction() {
+        if (this.isLocked) return 0.98;
 
         // Capstan friction resists sliding - exponentially based on wrap angle
         const capstanFriction = this.getCapstanFriction();
         // Clamp to prevent numerical instability (friction can't exceed 1.0 as a factor)
         const frictionFactor = Math.min(0.99, 1.0 - (1.0 / capstanFriction));
+        return 1.0 - frictionFactor * 0.5;
+    }
 
-        // Apply less correction = more resistance to movement (friction effect)
-        const effectiveFriction = this.isLocked ? 0.98 : (1.0 - frictionFactor * 0.5);
+    /**
+     * Measure tension and let the tangle wrap, tighten and lock
+     * The rates are per solver pass; rate is how many passes this call
+     * stands for (XPBD calls it once per substep with
+     * substep length × TangleConstraint.PASSES_PER_SECOND)
+     */
+    evolve(rate = 1) {
+        const distance = this.contactOn(this.ropeA, this.s).point
+            .distanceTo(this.contactOn(this.ropeB, this.t).point);
+        if (distance < 1e-6) return;
 
-        this.particleA.predicted.addMut(correction.mul(this.particleA.inverseMass * effectiveFriction));
-        this.particleB.predicted.subMut(correction.mul(this.particleB.inverseMass * effectiveFriction));
+        // Calculate tension (how much the constraint is being stretched)
+        this.tension = Math.max(0, distance - this.restDistance);
 
-        // Update crossing point to track where the tangle is
-        this.crossingPoint = this.particleA.predicted.add(this.particleB.predicted).div(2);
+        // Update wrap angle based on movement (ropes can wrap tighter or looser)
+        this.updateWrapAngle(rate);
+
+        // If under tension, the tangle tightens (this is the key behavior!)
+        // Capstan effect: higher wrap angle = more friction = tighter lock
+        if (this.tension > 0 && !this.isLocked) {
+            // Tightening rate amplified by Capstan friction
+            const capstanMultiplier = this.getCapstanFriction();
+            const tightenRate = 0.02 * this.tension * Math.min(capstanMultiplier, 3.0);
+            this.restDistance = Math.max(this.minDistance, this.restDistance - tightenRate * rate);
+
+            // Also increase wrap angle under tension (ropes dig into each other)
+            this.wrapAngle = Math.min(this.maxWrapAngle, this.wrapAngle + this.tension * 0.001 * rate);
+
+            // Lock if enough tension has been applied
+            if (this.tension > this.lockThreshold) {
+                this.isLocked = true;
+            }
+        }
     }
 
     /**
@@ -347,7 +715,7 @@ class TangleConstraint {
      * CONSERVATIVE approach: wrap angle only increases under tension,
      * and naturally decreases (ropes slide apart) when slack
      */
-    updateWrapAngle() {
+    updateWrapAngle(rate = 1) {
         // Get adjacent particles to calculate rope direction at tangle point
         const idxA = this.ropeA.particles.indexOf(this.particleA);
         const idxB = this.ropeB.particles.indexOf(this.particleB);
@@ -377,11 +745,11 @@ class TangleConstraint {
         // Perpendicularity alone isn't enough - the ropes need to be pulling tight
         if (this.tension > 1 && cross > 0.5) {
             // Under tension with good crossing angle: wrap increases slowly
-            const wrapIncrease = this.tension * 0.001 * cross;
+            const wrapIncrease = this.tension * 0.001 * cross * rate;
             this.wrapAngle = Math.min(this.maxWrapAngle, this.wrapAngle + wrapIncrease);
         } else if (this.tension < 0.5) {
             // When slack, wrap angle naturally decreases (ropes can slide apart)
-            this.wrapAngle = Math.max(Math.PI / 6, this.wrapAngle * 0.995);
+            this.wrapAngle = Math.max(Math.PI / 6, this.wrapAngle * Math.pow(0.995, rate));
         }
         // When tension is moderate (0.5-1), wrap angle stays stable
     }
@@ -391,7 +759,8 @@ class TangleConstraint {
      * Capstan effect: Higher wrap angle = exponentially harder to break
      */
     shouldBreak() {
-        const distance = this.particleA.position.distanceTo(this.particleB.position);
+        const { a, b } = this.getContactPoints();
+        const distance = a.position.distanceTo(b.position);
 
         // Break if ropes are slack for too long (natural untangling)
         // Only applies to unlocked tangles with low wrap angle
@@ -432,7 +801,8 @@ class TangleConstraint {
             capstanFriction: this.getCapstanFriction().toFixed(2) + 'x',
             isLocked: this.isLocked,
             age: this.age.toFixed(1) + 's',
-            restDistance: this.restDistance.toFixed(1)
+            restDistance: this.restDistance.toFixed(1),
+            contact: `s=${this.s.toFixed(2)} t=${this.t.toFixed(2)}`
         };
     }
 
@@ -450,6 +820,9 @@ class TangleConstraint {
 
 TangleConstraint.nextId = 0;
 
+// The per-pass rates in evolve() were tuned with 8 solver passes a frame at 60 fps
+TangleConstraint.PASSES_PER_SECOND = 8 * 60;
+
 /**
  * A rope/leash made of connected particles
  */
@@ -464,33 +837,39 @@ class Rope {
             mass = 0.1,
             stiffness = 1.0,
             bendStiffness = 0.3,
+            compliance = 0,         // XPBD: segment stretch per unit force (0 = inextensible)
+            bendCompliance = 0.005, // XPBD: bending softness
             damping = 0.02,
             color = '#8B4513', // Leather brown
-            thickness = 3
+            thickness = 3,
+            startZ = 0,        // Heights of the two ends above the ground
+            endZ = 0
         } = options;
 
         this.color = color;
         this.thickness = thickness;
+        this.compliance = compliance;
         this.id = Rope.nextId++;
 
         // Create particles along the rope
         for (let i = 0; i <= numSegments; i++) {
             const t = i / numSegments;
             const pos = startPos.lerp(endPos, t);
-            const particle = new Particle(pos.x, pos.y, mass);
+            const particle = new Particle(pos.x, pos.y, mass, startZ + (endZ - startZ) * t);
             particle.damping = damping;
             this.particles.push(particle);
         }
 
         // Create distance constraints between adjacent particles
-        const segmentLength = startPos.distanceTo(endPos) / numSegments;
+        const segmentLength = this.particles[0].distanceTo(this.endParticle) / numSegments;
         for (let i = 0; i < this.particles.length - 1; i++) {
             this.distanceConstraints.push(
                 new DistanceConstraint(
                     this.particles[i],
                     this.particles[i + 1],
                     segmentLength,
-                    stiffness
+                    stiffness,
+                    compliance
                 )
             );
         }
@@ -502,7 +881,8 @@ class Rope {
                     this.particles[i],
                     this.particles[i + 1],
                     this.particles[i + 2],
-                    bendStiffness
+                    bendStiffness,
+                    bendCompliance
                 )
             );
         }
@@ -531,25 +911,26 @@ class Rope {
     }
 
     /**
-     * Move the start particle (walker's hand)
+     * Move the start particle (walker's hand), keeping its height unless given
      */
-    moveStart(newPos) {
-        this.startParticle.teleport(newPos.x, newPos.y);
+    moveStart(newPos, z) {
+        this.startParticle.teleport(newPos.x, newPos.y, z);
     }
 
     /**
-     * Move the end particle (dog's collar)
+     * Move the end particle (dog's collar), keeping its height unless given
      */
-    moveEnd(newPos) {
-        this.endParticle.teleport(newPos.x, newPos.y);
+    moveEnd(newPos, z) {
+        this.endParticle.teleport(newPos.x, newPos.y, z);
     }
 
     /**
      * Apply gravity to all particles
+     * gravityZ is a true acceleration along the vertical (the same for every mass)
      */
-    applyGravity(gravity) {
+    applyGravity(gravity, gravityZ = 0) {
         for (const particle of this.particles) {
-            particle.applyForce(gravity);
+            particle.applyForce(gravity, gravityZ * particle.mass);
         }
     }
 
@@ -575,7 +956,7 @@ class Rope {
     getCurrentLength() {
         let length = 0;
         for (let i = 0; i < this.particles.length - 1; i++) {
-            length += this.particles[i].position.distanceTo(this.particles[i + 1].position);
+            length += this.particles[i].distanceTo(this.particles[i + 1]);
         }
         return length;
     }
@@ -586,7 +967,7 @@ class Rope {
     getPredictedLength() {
         let length = 0;
         for (let i = 0; i < this.particles.length - 1; i++) {
-            length += this.particles[i].predicted.distanceTo(this.particles[i + 1].predicted);
+            length += this.particles[i].predictedDistanceTo(this.particles[i + 1]);
         }
         return length;
     }
@@ -603,7 +984,8 @@ class Rope {
      * This is critical for leashes - they should NEVER stretch beyond their rest length
      *
      * Algorithm: If total length exceeds max, scale all segments proportionally
-     * to bring total back to max while preserving rope shape
+     * to bring total back to max while preserving rope shape (towards the
+     * line between the ends when both are pinned and the rope hangs slack)
      */
     enforceMaxLength(maxStretchFactor = 1.0) {
         const restLength = this.getRestLength();
@@ -613,6 +995,27 @@ class Rope {
 
         if (currentLength <= maxLength) return; // Within bounds
 
+        // Both ends held closer than the max length: the rope is hanging slack
+        // with a little stretch, so pull it towards the straight line between
+        // the ends instead of bunching it up at one of them
+        const start = this.startParticle;
+        const end = this.endParticle;
+        const chord = start.predictedDistanceTo(end);
+        if (start.isPinned && end.isPinned && chord < maxLength) {
+            // Each segment becomes k·segment + (1 - k)·chord/n, so the total is at most
+            // k·current + (1 - k)·chord, which this k brings down to the max
+            const k = (maxLength - chord) / (currentLength - chord);
+            const last = this.particles.length - 1;
+            this.particles.forEach((particle, i) => {
+                if (particle.isPinned) return;
+                const onChord = start.predicted.lerp(end.predicted, i / last);
+                const onChordZ = start.predictedZ + (end.predictedZ - start.predictedZ) * i / last;
+                particle.predicted.copy(onChord.add(particle.predicted.sub(onChord).mul(k)));
+                particle.predictedZ = onChordZ + (particle.predictedZ - onChordZ) * k;
+            });
+            return;
+        }
+
         // Calculate how much we need to shrink
         const scaleFactor = maxLength / currentLength;
 
@@ -621,22 +1024,25 @@ class Rope {
 
         // If start is pinned, scale from start
         if (this.startParticle.isPinned) {
-            anchor = this.startParticle.predicted.clone();
+            anchor = this.startParticle;
         } else if (this.endParticle.isPinned) {
-            anchor = this.endParticle.predicted.clone();
+            anchor = this.endParticle;
         }
 
         if (!anchor) return; // Both unpinned, can't enforce
+        const anchorPos = anchor.predicted.clone();
+        const anchorZ = anchor.predictedZ;
 
         // Scale each particle's position toward the anchor
         for (const particle of this.particles) {
             if (particle.isPinned) continue;
 
             // Vector from anchor to particle
-            const toParticle = particle.predicted.sub(anchor);
+            const toParticle = particle.predicted.sub(anchorPos);
             // Scale it down
-            const newPos = anchor.add(toParticle.mul(scaleFactor));
+            const newPos = anchorPos.add(toParticle.mul(scaleFactor));
             particle.predicted.copy(newPos);
+            particle.predictedZ = anchorZ + (particle.predictedZ - anchorZ) * scaleFactor;
         }
     }
 
@@ -649,7 +1055,8 @@ class Rope {
         for (let iter = 0; iter < iterations; iter++) {
             for (const constraint of this.distanceConstraints) {
                 const delta = constraint.particleB.predicted.sub(constraint.particleA.predicted);
-                const distance = delta.length;
+                const deltaZ = constraint.particleB.predictedZ - constraint.particleA.predictedZ;
+                const distance = Math.sqrt(delta.lengthSquared + deltaZ * deltaZ);
 
                 if (distance <= constraint.restLength || distance < 1e-6) continue;
 
@@ -660,10 +1067,13 @@ class Rope {
                 if (wSum < 1e-6) continue;
 
                 // Full correction (stiffness = 1.0)
-                const correction = delta.mul(error / (distance * wSum));
+                const scale = error / (distance * wSum);
+                const correction = delta.mul(scale);
 
                 constraint.particleA.predicted.addMut(correction.mul(constraint.particleA.inverseMass));
                 constraint.particleB.predicted.subMut(correction.mul(constraint.particleB.inverseMass));
+                constraint.particleA.predictedZ += deltaZ * scale * constraint.particleA.inverseMass;
+                constraint.particleB.predictedZ -= deltaZ * scale * constraint.particleB.inverseMass;
             }
         }
     }
@@ -671,6 +1081,121 @@ class Rope {
 
 Rope.nextId = 0;
 
+/**
+ * Uniform-grid broadphase over rope segments
+ *
+ * Each segment is filed under every cell its bounding box touches, so a
+ * query only looks at segments that share a cell. Candidates are still
+ * filtered by box overlap and come back in index order, so callers that
+ * loop over them see the same pairs, in the same order, as a brute-force
+ * double loop would give after its own narrowphase rejects.
+ */
+class SegmentGrid {
+    constructor(cellSize = 16) {
+        this.cellSize = cellSize;
+        this.clear();
+    }
+
+    clear() {
+        this.cells = new Map(); // cell key -> [rope, index, rope, index, ...]
+        this.boxes = new Map(); // rope -> [minX, minY, maxX, maxY] per segment
+    }
+
+    /**
+     * Cell key for integer cell coordinates (exact within ±32768 cells)
+     */
+    key(cx, cy) {
+        return (cx + 32768) * 65536 + (cy + 32768);
+    }
+
+    /**
+     * File segment `index` of a rope under its bounding box
+     */
+    insert(rope, index, minX, minY, maxX, maxY) {
+        let boxes = this.boxes.get(rope);
+        if (!boxes) {
+            boxes = [];
+            this.boxes.set(rope, boxes);
+        }
+        boxes[index * 4] = minX;
+        boxes[index * 4 + 1] = minY;
+        boxes[index * 4 + 2] = maxX;
+        boxes[index * 4 + 3] = maxY;
+
+        const size = this.cellSize;
+        for (let cx = Math.floor(minX / size); cx <= Math.floor(maxX / size); cx++) {
+            for (let cy = Math.floor(minY / size); cy <= Math.floor(maxY / size); cy++) {
+                const key = this.key(cx, cy);
+                const cell = this.cells.get(key);
+                if (cell) {
+                    cell.push(rope, index);
+                } else {
+                    this.cells.set(key, [rope, index]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Pairs [indexA, indexB] of segments of ropeA and ropeB whose boxes
+     * overlap, skipping indices below minIndex, sorted by indexA then indexB
+     */
+    pairs(ropeA, ropeB, minIndex = 0) {
+        const boxesA = this.boxes.get(ropeA);
+        const boxesB = this.boxes.get(ropeB);
+        if (!boxesA || !boxesB) return [];
+
+        const pairs = [];
+        const size = this.cellSize;
+        for (let i = minIndex; i * 4 < boxesA.length; i++) {
+            const minX = boxesA[i * 4], minY = boxesA[i * 4 + 1];
+            const maxX = boxesA[i * 4 + 2], maxY = boxesA[i * 4 + 3];
+            const found = [];
+
+            for (let cx = Math.floor(minX / size); cx <= Math.floor(maxX / size); cx++) {
+                for (let cy = Math.floor(minY / size); cy <= Math.floor(maxY / size); cy++) {
+                    const cell = this.cells.get(this.key(cx, cy));
+                    if (!cell) continue;
+                    for (let k = 0; k < cell.length; k += 2) {
+                        const j = cell[k + 1];
+                        if (cell[k] !== ropeB || j < minIndex || found.includes(j)) continue;
+                        if (boxesB[j * 4] > maxX || boxesB[j * 4 + 2] < minX ||
+                            boxesB[j * 4 + 1] > maxY || boxesB[j * 4 + 3] < minY) continue;
+                        found.push(j);
+                    }
+                }
+            }
+
+            for (const j of found.sort((a, b) => a - b)) {
+                pairs.push([i, j]);
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * Indices of the segments of a rope whose boxes contain a point, in order
+     */
+    near(rope, point) {
+        const boxes = this.boxes.get(rope);
+        const cell = this.cells.get(this.key(
+            Math.floor(point.x / this.cellSize),
+            Math.floor(point.y / this.cellSize)
+        ));
+        if (!boxes || !cell) return [];
+
+        const indices = [];
+        for (let k = 0; k < cell.length; k += 2) {
+            const j = cell[k + 1];
+            if (cell[k] !== rope) continue;
+            if (point.x < boxes[j * 4] || point.x > boxes[j * 4 + 2] ||
+                point.y < boxes[j * 4 + 1] || point.y > boxes[j * 4 + 3]) continue;
+            indices.push(j);
+        }
+        return indices.sort((a, b) => a - b);
+    }
+}
+
 /**
  * Main physics world - manages all ropes, constraints, and tangles
  */
@@ -678,7 +1203,11 @@ class PhysicsWorld {
     constructor(options = {}) {
         this.ropes = [];
         this.gravity = options.gravity ?? new Vec2(0, 50); // Subtle downward pull (top-down view hint)
+        this.gravityZ = options.gravityZ ?? -350;          // Real gravity, pulling ropes towards the ground
+        this.groundFriction = options.groundFriction ?? 0.2; // Share of sliding cancelled while on the ground
         this.solverIterations = options.solverIterations ?? 8;
+        this.solver = options.solver ?? 'pbd'; // 'pbd' or 'xpbd' (compliance-based, see substep)
+        this.substeps = options.substeps ?? 8; // XPBD substeps per step, one solver pass each
         this.bounds = options.bounds ?? null; // { minX, maxX, minY, maxY }
 
         // TANGLE PHYSICS - The key addition!
@@ -687,16 +1216,31 @@ class PhysicsWorld {
         this.tangleTensionThreshold = 25;  // Minimum tension to form a tangle (HIGH - require REAL tension)
         this.ropeCollisionRadius = 1.5;    // Ropes have physical thickness (reduced for thinner leashes)
         this.allowFreeCrossing = true;     // Allow ropes to cross freely (for braid behavior)
+        this.ropeContact = true;           // Ropes collide in 3D, so crossing ropes lie one on the other
 
         // Tangle debounce - prevent rapid tangle formation
         this.tangleCooldowns = new Map();  // Key: "ropeA-ropeB-segA-segB", Value: cooldown frames remaining
         this.tangleCooldownFrames = 120;   // ~2 seconds at 60fps before same segments can tangle again
         this.maxTanglesPerRopePair = 2;    // Maximum tangles between any two ropes
+        this.tangleMergeDistance = 10;     // New contacts closer than this along both ropes to an old one are the same tangle
         this.maxTotalTangles = 6;          // Global maximum tangles in simulation
 
         // For tracking crossings (braid theory)
         this.crossingCallback = null;
 
+        // Particle positions and heights when crossings were last checked;
+        // detection sweeps each segment from there to where it is now
+        this.sweepStart = new Map(); // rope -> [{ position, z }]
+
+        // Broadphase: pair tests only run on segments whose boxes share a grid cell
+        const cellSize = options.broadphaseCellSize ?? 16;
+        this.segmentGrid = new SegmentGrid(cellSize);   // Swept boxes, for crossings and tangles
+        this.collisionGrid = new SegmentGrid(cellSize); // Predicted positions, for collisions and contacts
+        this.collisionSkin = 2;                         // Slack in collision boxes before a rebuild
+        this.collisionGridPadded = false;               // Whether the boxes also cover motion to come this step
+        this.collisionSubstepsLeft = 0;                 // Substeps still to come in the step being solved
+        this.collisionAnchors = new Map();              // particle -> { position, skin } at last build
+
         // For tracking tangle events
         this.onTangleFormed = null;
         this.onTangleBroken = null;
@@ -708,7 +1252,10 @@ class PhysicsWorld {
     reset() {
         this.ropes = [];
         this.tangleConstraints = [];
-        this.currentIntersections = new Set();
+        this.sweepStart = new Map();
+        this.segmentGrid.clear();
+        this.collisionGrid.clear();
+        this.collisionAnchors = new Map();
         this.tangleCooldowns = new Map();
     }
 
@@ -722,6 +1269,7 @@ class PhysicsWorld {
         if (idx !== -1) {
             this.ropes.splice(idx, 1);
         }
+        this.sweepStart.delete(rope);
     }
 
     /**
@@ -734,40 +1282,110 @@ class PhysicsWorld {
 
     /**
      * Main simulation step
+     * In XPBD mode the frame is split into `substeps` equal substeps, each
+     * integrating, solving and updating positions on its own
      */
     step(dt) {
+        // Boxes padded for the last step's substeps are rebuilt on first use
+        if (this.collisionGridPadded) this.collisionAnchors = new Map();
+        if (this.solver === 'xpbd') {
+            const h = dt / this.substeps;
+            for (let s = 0; s < this.substeps; s++) {
+                this.substep(h, true, this.substeps - 1 - s);
+            }
+        } else {
+            this.substep(dt, false, 0);
+        }
+
+        // 4. Slide tangle contacts along their ropes, then check for new
+        // tangles forming and old ones breaking
+        for (const tangle of this.tangleConstraints) {
+            tangle.slide(dt);
+        }
+        this.buildSegmentGrid();
+        this.updateTangles();
+
+        // 5. Detect crossings for braid word tracking
+        this.detectCrossings();
+
+        // 6. The next step's sweeps start from here
+        this.recordSweepStart();
+    }
+
+    /**
+     * Integrate, solve constraints and update positions over dt: the whole
+     * frame in PBD mode, one substep in XPBD mode, with substepsLeft more
+     * to come this frame
+     */
+    substep(dt, xpbd, substepsLeft) {
+        // Damping and ground friction are tuned per 60 fps frame; substeps get their share
+        const frames = dt * 60;
+        const perFrame = (share) => xpbd ? 1 - Math.pow(1 - share, frames) : share;
+        this.collisionSubstepsLeft = substepsLeft;
+
         // 1. Apply forces and predict positions
         for (const rope of this.ropes) {
-            rope.applyGravity(this.gravity);
+            rope.applyGravity(this.gravity, this.gravityZ);
             for (const particle of rope.particles) {
-                particle.integrate(dt);
+                particle.integrate(dt, perFrame(particle.damping));
             }
         }
 
         // 2. Solve constraints iteratively (Gauss-Seidel)
-        for (let i = 0; i < this.solverIterations; i++) {
+        // XPBD runs one pass per substep; solverIterations is PBD's
+        const iterations = xpbd ? 1 : this.solverIterations;
+        if (xpbd) {
+            // Multipliers start from zero every substep
+            this.resetMultipliers();
+            for (const tangle of this.tangleConstraints) {
+                tangle.evolve(dt * TangleConstraint.PASSES_PER_SECOND);
+                tangle.age += dt;
+            }
+        }
+        for (let i = 0; i < iterations; i++) {
             // Distance constraints (within each rope)
             for (const rope of this.ropes) {
                 for (const constraint of rope.distanceConstraints) {
-                    constraint.solve();
+                    if (xpbd) {
+                        constraint.solveXPBD(dt);
+                    } else {
+                        constraint.solve();
+                    }
                 }
             }
 
             // TANGLE CONSTRAINTS - This is where the magic happens!
             // Tangles create physical connections BETWEEN ropes
             for (const tangle of this.tangleConstraints) {
-                tangle.solve();
-                tangle.age += dt;
+                if (xpbd) {
+                    tangle.solveXPBD(dt);
+                } else {
+                    tangle.solve();
+                    tangle.age += dt;
+                }
+            }
+
+            // Collisions and contacts below query the grid; bring it up to date first
+            if (!this.allowFreeCrossing || this.ropeContact) {
+                this.refreshCollisionGrid();
             }
 
             // Rope-rope collision (push apart if too close but not tangled)
             this.solveRopeCollisions();
 
-            // Bending constraints (fewer iterations needed)
-            if (i < this.solverIterations / 2) {
+            // Ropes resting on the ground and on each other
+            this.solveGroundContact();
+            this.solveRopeContacts();
+
+            // Bending constraints (fewer iterations needed; XPBD converges on every one)
+            if (xpbd || i < iterations / 2) {
                 for (const rope of this.ropes) {
                     for (const constraint of rope.bendingConstraints) {
-                        constraint.solve();
+                        if (xpbd) {
+                            constraint.solveXPBD(dt);
+                        } else {
+                            constraint.solve();
+                        }
                     }
                 }
             }
@@ -778,10 +1396,16 @@ class PhysicsWorld {
             }
         }
 
+        // Ground friction on whatever ended up lying on the ground
+        this.applyGroundFriction(perFrame(this.groundFriction));
+
         // 2.5 Strict leash length enforcement (post-processing)
         // This ensures leashes NEVER exceed their max length
         // Done after regular constraint solving to guarantee hard limits
+        // (in XPBD mode only for inextensible ropes; compliant ones may stretch)
         for (const rope of this.ropes) {
+            if (xpbd && rope.compliance > 0) continue;
+
             // First, do additional strict per-segment enforcement
             rope.enforceStrictLength(2);
             // Then, enforce total max length (no stretch allowed for leashes)
@@ -794,12 +1418,19 @@ class PhysicsWorld {
                 particle.updatePosition(dt);
             }
         }
+    }
 
-        // 4. Check for new tangles forming and old ones breaking
-        this.updateTangles();
-
-        // 5. Detect crossings for braid word tracking
-        this.detectCrossings();
+    /**
+     * Start a substep's Lagrange multipliers from zero (XPBD)
+     */
+    resetMultipliers() {
+        for (const rope of this.ropes) {
+            for (const constraint of rope.distanceConstraints) constraint.lambda = 0;
+            for (const constraint of rope.bendingConstraints) constraint.lambda = 0;
+        }
+        for (const tangle of this.tangleConstraints) {
+            tangle.lambda = 0;
+        }
     }
 
     /**
@@ -824,15 +1455,236 @@ class PhysicsWorld {
         }
     }
 
+    /**
+     * Rebuild the collision grid if some particle has left its box: any
+     * particle at the start of a pass, or one of those a correction just
+     * moved. Every query then sees boxes that hold the ropes as they are,
+     * so it finds every pair the brute-force loops would act on.
+     * @param {Particle[]} moved - Only check these particles
+     * @returns {boolean} Whether the grid was rebuilt
+     */
+    refreshCollisionGrid(moved = null) {
+        const stale = moved
+            ? moved.some(particle => this.movedPastSkin(particle))
+            : this.collisionGridIsStale();
+        if (!stale) return false;
+
+        this.buildCollisionGrid(this.collisionSubstepsLeft);
+        return true;
+    }
+
+    /**
+     * Bucket every segment by its predicted position, padded by the
+     * collision radius plus its particles' skins. Queries stay exact until
+     * some particle drifts further than its skin from where it was at the
+     * build. With substeps still to come, a particle's skin also covers
+     * moving as far again in each (up to a grid cell), so the rebuild
+     * usually lasts the step; boxes padded like that are rebuilt next step.
+     */
+    buildCollisionGrid(substepsLeft = 0) {
+        this.collisionGrid.clear();
+        this.collisionAnchors = new Map();
+        this.collisionGridPadded = substepsLeft > 0;
+
+        for (const rope of this.ropes) {
+            const particles = rope.particles;
+            for (const particle of particles) {
+                const ahead = particle.predicted.distanceTo(particle.position) * substepsLeft;
+                this.collisionAnchors.set(particle, {
+                    position: particle.predicted.clone(),
+                    skin: this.collisionSkin + Math.min(ahead, this.collisionGrid.cellSize)
+                });
+            }
+            for (let k = 0; k < particles.length - 1; k++) {
+                const a = particles[k].predicted;
+                const b = particles[k + 1].predicted;
+                const padding = this.ropeCollisionRadius + Math.max(
+                    this.collisionAnchors.get(particles[k]).skin,
+                    this.collisionAnchors.get(particles[k + 1]).skin
+                );
+                this.collisionGrid.insert(rope, k,
+                    Math.min(a.x, b.x) - padding, Math.min(a.y, b.y) - padding,
+                    Math.max(a.x, b.x) + padding, Math.max(a.y, b.y) + padding);
+            }
+        }
+    }
+
+    /**
+     * Whether a particle has moved further than its skin since the build
+     */
+    movedPastSkin(particle) {
+        const anchor = this.collisionAnchors.get(particle);
+        return !anchor ||
+            anchor.position.distanceToSquared(particle.predicted) > anchor.skin * anchor.skin;
+    }
+
+    collisionGridIsStale() {
+        return this.ropes.some(rope => rope.particles.some(p => this.movedPastSkin(p)));
+    }
+
+    /**
+     * Height at which a rope resting on the ground has its centre line
+     */
+    get groundRestZ() {
+        return this.ropeCollisionRadius / 2;
+    }
+
+    /**
+     * Keep every particle at or above the ground
+     */
+    solveGroundContact() {
+        const restZ = this.groundRestZ;
+        for (const rope of this.ropes) {
+            for (const particle of rope.particles) {
+                if (particle.inverseMass > 0 && particle.predictedZ < restZ) {
+                    particle.predictedZ = restZ;
+                }
+            }
+        }
+    }
+
+    /**
+     * Particles lying on the ground lose part of their sliding this step
+     */
+    applyGroundFriction(share = this.groundFriction) {
+        const touching = this.groundRestZ + 0.01;
+        for (const rope of this.ropes) {
+            for (const particle of rope.particles) {
+                if (particle.inverseMass > 0 && particle.predictedZ <= touching) {
+                    particle.predicted.lerpMut(particle.position, share);
+                }
+            }
+        }
+    }
+
+    /**
+     * Rope-rope contact in 3D
+     * Segments of different ropes closer than the rope thickness are pushed
+     * apart along the line between their closest points. Where two ropes
+     * cross in the top-down view that line is nearly vertical, so one rope
+     * ends up resting on the other - and that decides over/under.
+     */
+    solveRopeContacts() {
+        if (!this.ropeContact) return;
+
+        for (let i = 0; i < this.ropes.length; i++) {
+            for (let j = i + 1; j < this.ropes.length; j++) {
+                const ropeA = this.ropes[i];
+                const ropeB = this.ropes[j];
+
+                let pairs = this.collisionGrid.pairs(ropeA, ropeB);
+                for (let k = 0; k < pairs.length; k++) {
+                    const [indexA, indexB] = pairs[k];
+                    const moved = [
+                        ropeA.particles[indexA], ropeA.particles[indexA + 1],
+                        ropeB.particles[indexB], ropeB.particles[indexB + 1]
+                    ];
+                    if (!this.solveSegmentContact(...moved)) continue;
+
+                    // Pushed out of its box: rebuild and go on past this pair
+                    if (this.refreshCollisionGrid(moved)) {
+                        pairs = this.collisionGrid.pairs(ropeA, ropeB).filter(([a, b]) =>
+                            a > indexA || (a === indexA && b > indexB));
+                        k = -1;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Push segments a0-a1 and b0-b1 apart if they are closer than the rope
+     * thickness, sharing the correction by inverse mass and by where along
+     * each segment the contact is
+     * @returns {boolean} Whether anything moved
+     */
+    solveSegmentContact(a0, a1, b0, b1) {
+        const contact = this.closestPoints3D(a0, a1, b0, b1);
+        const overlap = this.ropeCollisionRadius - contact.distance;
+        if (overlap <= 0) return false;
+
+        // Direction from B to A (straight up for A if they coincide)
+        let nx = 0, ny = 0, nz = 1;
+        if (contact.distance > 1e-6) {
+            nx = contact.dx / contact.distance;
+            ny = contact.dy / contact.distance;
+            nz = contact.dz / contact.distance;
+        }
+
+        const { s, t } = contact;
+        const weights = [
+            [a0, (1 - s), 1], [a1, s, 1],
+            [b0, (1 - t), -1], [b1, t, -1]
+        ];
+        const wSum = weights.reduce((sum, [p, w]) => sum + p.inverseMass * w * w, 0);
+        if (wSum < 1e-6) return false;
+
+        const lambda = overlap / wSum;
+        for (const [particle, w, side] of weights) {
+            const amount = side * lambda * w * particle.inverseMass;
+            if (amount === 0) continue;
+            particle.predicted.x += nx * amount;
+            particle.predicted.y += ny * amount;
+            particle.predictedZ += nz * amount;
+        }
+        return true;
+    }
+
+    /**
+     * Closest points between segments a0-a1 and b0-b1 in 3D (predicted positions)
+     * Returns { s, t, dx, dy, dz, distance } with s, t the parameters along
+     * each segment and (dx, dy, dz) pointing from the point on b to the point on a
+     */
+    closestPoints3D(a0, a1, b0, b1) {
+        const ux = a1.predicted.x - a0.predicted.x;
+        const uy = a1.predicted.y - a0.predicted.y;
+        const uz = a1.predictedZ - a0.predictedZ;
+        const vx = b1.predicted.x - b0.predicted.x;
+        const vy = b1.predicted.y - b0.predicted.y;
+        const vz = b1.predictedZ - b0.predictedZ;
+        const wx = a0.predicted.x - b0.predicted.x;
+        const wy = a0.predicted.y - b0.predicted.y;
+        const wz = a0.predictedZ - b0.predictedZ;
+
+        const a = ux * ux + uy * uy + uz * uz;
+        const b = ux * vx + uy * vy + uz * vz;
+        const c = vx * vx + vy * vy + vz * vz;
+        const d = ux * wx + uy * wy + uz * wz;
+        const e = vx * wx + vy * wy + vz * wz;
+        const clamp = (x) => Math.max(0, Math.min(1, x));
+
+        // Best s for the infinite lines, then t for that s, then s again for the clamped t
+        const denom = a * c - b * b;
+        let s, t;
+        if (c <= 1e-9) {
+            t = 0;
+            s = a > 1e-9 ? clamp(-d / a) : 0;
+        } else {
+            s = denom > 1e-9 ? clamp((b * e - c * d) / denom) : 0;
+            t = (b * s + e) / c;
+            if (t < 0 || t > 1) {
+                t = clamp(t);
+                s = a > 1e-9 ? clamp((b * t - d) / a) : 0;
+            }
+        }
+
+        const dx = wx + ux * s - vx * t;
+        const dy = wy + uy * s - vy * t;
+        const dz = wz + uz * s - vz * t;
+        return { s, t, dx, dy, dz, distance: Math.sqrt(dx * dx + dy * dy + dz * dz) };
+    }
+
     /**
      * Solve collision between two ropes
      */
     solveRopePairCollision(ropeA, ropeB) {
-        // Check each particle of ropeA against segments of ropeB
+        // Check each particle of ropeA against the nearby segments of ropeB
         for (const particleA of ropeA.particles) {
             if (particleA.inverseMass === 0) continue;
 
-            for (let k = 0; k < ropeB.particles.length - 1; k++) {
+            let nearby = this.collisionGrid.near(ropeB, particleA.predicted);
+            for (let n = 0; n < nearby.length; n++) {
+                const k = nearby[n];
                 const p1 = ropeB.particles[k];
                 const p2 = ropeB.particles[k + 1];
 
@@ -862,13 +1714,18 @@ class PhysicsWorld {
                     const segPush = push.mul(-0.5);
                     if (p1.inverseMass > 0) p1.predicted.addMut(segPush);
                     if (p2.inverseMass > 0) p2.predicted.addMut(segPush);
+
+                    // The particle has moved, so look again for the segments past this one
+                    this.refreshCollisionGrid([particleA, p1, p2]);
+                    nearby = this.collisionGrid.near(ropeB, particleA.predicted).filter(j => j > k);
+                    n = -1;
                 }
             }
         }
     }
 
     /**
-     * Check if two particles are connected by a tangle
+     * Check if two particles are connected by a tangle (are the particles nearest its contact)
      */
     areTangled(particleA, particleB) {
         return this.tangleConstraints.some(t =>
@@ -945,6 +1802,39 @@ class PhysicsWorld {
         ).length;
     }
 
+    /**
+     * Whether a tangle between these two ropes already has its contact
+     * within tangleMergeDistance of (s, t), measured along each rope
+     */
+    hasContactNear(ropeA, s, ropeB, t) {
+        return this.tangleConstraints.some(tangle => {
+            let contact;
+            if (tangle.ropeA === ropeA && tangle.ropeB === ropeB) {
+                contact = [tangle.s, tangle.t];
+            } else if (tangle.ropeA === ropeB && tangle.ropeB === ropeA) {
+                contact = [tangle.t, tangle.s];
+            } else {
+                return false;
+            }
+            return this.distanceAlong(ropeA, s, contact[0]) < this.tangleMergeDistance &&
+                this.distanceAlong(ropeB, t, contact[1]) < this.tangleMergeDistance;
+        });
+    }
+
+    /**
+     * Length of rope between two contact parameters (in particle indices)
+     */
+    distanceAlong(rope, u1, u2) {
+        const from = Math.min(u1, u2);
+        const to = Math.max(u1, u2);
+        let length = 0;
+        for (let i = Math.floor(from); i < to && i < rope.particles.length - 1; i++) {
+            const covered = Math.min(to, i + 1) - Math.max(from, i);
+            length += covered * rope.particles[i].distanceTo(rope.particles[i + 1]);
+        }
+        return length;
+    }
+
     /**
      * Detect tangles between two specific ropes
      * Uses research-based criteria:
@@ -963,9 +1853,6 @@ class PhysicsWorld {
             return;
         }
 
-        const segmentsA = ropeA.getSegments();
-        const segmentsB = ropeB.getSegments();
-
         // Minimum crossing angle for tangle formation (45° in radians) - INCREASED from 30°
         const MIN_WRAP_ANGLE = Math.PI / 4;  // 45°
 
@@ -973,102 +1860,85 @@ class PhysicsWorld {
         // Increased from 3 to 6 since leashes now have displaced origins
         const SKIP_SEGMENTS_FROM_START = 6;
 
-        for (const segA of segmentsA) {
-            // Skip segments too close to the pinned start (walker's hand)
-            if (segA.index < SKIP_SEGMENTS_FROM_START) continue;
+        // Only segments whose swept boxes overlap can have crossed
+        for (const [indexA, indexB] of this.segmentGrid.pairs(ropeA, ropeB, SKIP_SEGMENTS_FROM_START)) {
+            const segA = { start: ropeA.particles[indexA].position, end: ropeA.particles[indexA + 1].position };
+            const segB = { start: ropeB.particles[indexB].position, end: ropeB.particles[indexB + 1].position };
 
-            for (const segB of segmentsB) {
-                // Skip segments too close to the pinned start (walker's hand)
-                if (segB.index < SKIP_SEGMENTS_FROM_START) continue;
+            // Check cooldown for this segment pair
+            const cooldownKey = `${ropeA.id}-${ropeB.id}-${indexA}-${indexB}`;
+            if (this.tangleCooldowns.has(cooldownKey)) continue;
 
-                // Check cooldown for this segment pair
-                const cooldownKey = `${ropeA.id}-${ropeB.id}-${segA.index}-${segB.index}`;
-                if (this.tangleCooldowns.has(cooldownKey)) continue;
+            // Check if segments intersect, or passed through each other during the step
+            let result = Segment.segmentIntersection(
+                segA.start, segA.end,
+                segB.start, segB.end
+            );
+            if (!result.intersects) {
+                result = this.sweptCrossing(ropeA, ropeB, indexA, indexB);
+            }
 
-                // Check if segments intersect
-                const result = Segment.segmentIntersection(
-                    segA.start, segA.end,
-                    segB.start, segB.end
+            if (!result.intersects) continue;
+
+            // The contact starts where the segments cross; tension is read at its nearest particles
+            const s = indexA + result.t1;
+            const t = indexB + result.t2;
+            const particleA = ropeA.particles[Math.round(s)];
+            const particleB = ropeB.particles[Math.round(t)];
+
+            // Skip if an existing tangle already holds the ropes here
+            if (this.hasContactNear(ropeA, s, ropeB, t)) continue;
+
+            // Check crossing angle (perpendicular crossings tangle more easily)
+            const dirA = segA.end.sub(segA.start).normalize();
+            const dirB = segB.end.sub(segB.start).normalize();
+            const crossProduct = Math.abs(dirA.cross(dirB)); // 1 = perpendicular, 0 = parallel
+
+            // Convert cross product to angle: sin(θ) = cross product
+            const crossingAngle = Math.asin(Math.min(1, crossProduct)); // 0 to π/2
+
+            // CRITICAL: Minimum wrap angle threshold (45°)
+            // Parallel/shallow crossings won't form tangles - ropes just slide past
+            if (crossingAngle < MIN_WRAP_ANGLE) continue;
+
+            // Check tension on both sides of the crossing - BOTH must have tension
+            const tensionA = this.measureLocalTension(ropeA, particleA);
+            const tensionB = this.measureLocalTension(ropeB, particleB);
+
+            // Require BOTH ropes to have meaningful tension (not just total)
+            if (tensionA < 2 || tensionB < 2) continue;
+
+            // Tangle forms if:
+            // - Crossing angle >= 45° (already checked)
+            // - Both ropes have tension >= 2 (already checked)
+            // - Combined conditions meet threshold
+            const tangleProbability = (tensionA + tensionB) * crossProduct;
+
+            if (tangleProbability > this.tangleTensionThreshold) {
+                // Set cooldown for this segment pair
+                this.tangleCooldowns.set(cooldownKey, this.tangleCooldownFrames);
+
+                // Create the tangle with initial wrap angle based on crossing angle
+                const tangle = new TangleConstraint(
+                    ropeA, ropeB,
+                    s, t,
+                    result.point,
+                    {
+                        friction: 0.3,  // Base friction coefficient (μ) for Capstan
+                        stiffness: Math.min(0.95, 0.7 + tangleProbability * 0.02),
+                        initialWrapAngle: crossingAngle  // Start at actual crossing angle
+                    }
                 );
 
-                if (!result.intersects) continue;
-
-                // Find the particles closest to the intersection
-                const particleA = this.findClosestParticle(ropeA, result.point);
-                const particleB = this.findClosestParticle(ropeB, result.point);
-
-                // Skip if these particles are already tangled
-                if (this.areTangled(particleA, particleB)) continue;
-
-                // Check crossing angle (perpendicular crossings tangle more easily)
-                const dirA = segA.end.sub(segA.start).normalize();
-                const dirB = segB.end.sub(segB.start).normalize();
-                const crossProduct = Math.abs(dirA.cross(dirB)); // 1 = perpendicular, 0 = parallel
-
-                // Convert cross product to angle: sin(θ) = cross product
-                const crossingAngle = Math.asin(Math.min(1, crossProduct)); // 0 to π/2
-
-                // CRITICAL: Minimum wrap angle threshold (45°)
-                // Parallel/shallow crossings won't form tangles - ropes just slide past
-                if (crossingAngle < MIN_WRAP_ANGLE) continue;
-
-                // Check tension on both sides of the crossing - BOTH must have tension
-                const tensionA = this.measureLocalTension(ropeA, particleA);
-                const tensionB = this.measureLocalTension(ropeB, particleB);
-
-                // Require BOTH ropes to have meaningful tension (not just total)
-                if (tensionA < 2 || tensionB < 2) continue;
-
-                // Tangle forms if:
-                // - Crossing angle >= 45° (already checked)
-                // - Both ropes have tension >= 2 (already checked)
-                // - Combined conditions meet threshold
-                const tangleProbability = (tensionA + tensionB) * crossProduct;
-
-                if (tangleProbability > this.tangleTensionThreshold) {
-                    // Set cooldown for this segment pair
-                    this.tangleCooldowns.set(cooldownKey, this.tangleCooldownFrames);
-
-                    // Create the tangle with initial wrap angle based on crossing angle
-                    const tangle = new TangleConstraint(
-                        particleA, particleB,
-                        ropeA, ropeB,
-                        result.point,
-                        {
-                            friction: 0.3,  // Base friction coefficient (μ) for Capstan
-                            stiffness: Math.min(0.95, 0.7 + tangleProbability * 0.02),
-                            initialWrapAngle: crossingAngle  // Start at actual crossing angle
-                        }
-                    );
-
-                    this.tangleConstraints.push(tangle);
+                this.tangleConstraints.push(tangle);
 
-                    if (this.onTangleFormed) {
-                        this.onTangleFormed(tangle, ropeA, ropeB, result.point);
-                    }
+                if (this.onTangleFormed) {
+                    this.onTangleFormed(tangle, ropeA, ropeB, result.point);
                 }
             }
         }
     }
 
-    /**
-     * Find the particle in a rope closest to a point
-     */
-    findClosestParticle(rope, point) {
-        let closest = rope.particles[0];
-        let minDist = closest.position.distanceTo(point);
-
-        for (const particle of rope.particles) {
-            const dist = particle.position.distanceTo(point);
-            if (dist < minDist) {
-                minDist = dist;
-                closest = particle;
-            }
-        }
-
-        return closest;
-    }
-
     /**
      * Measure tension at a point in the rope
      * Tension is high when the rope is being pulled taut
@@ -1121,89 +1991,139 @@ class PhysicsWorld {
     /**
      * Detect crossings between rope segments
      * This is where the braid theory magic happens!
+     *
+     * Crossings from all rope pairs are reported in the order they happened
+     * within the step, so the braid word gets its letters in the right order
+     * even when a fast dog causes several crossings in one frame.
      */
     detectCrossings() {
         if (!this.crossingCallback) return;
 
         // Check each pair of ropes
+        const crossings = [];
         for (let i = 0; i < this.ropes.length; i++) {
             for (let j = i + 1; j < this.ropes.length; j++) {
-                this.detectRopeCrossings(this.ropes[i], this.ropes[j]);
+                crossings.push(...this.detectRopeCrossings(this.ropes[i], this.ropes[j]));
             }
         }
+
+        crossings.sort((a, b) => a.time - b.time);
+        for (const c of crossings) {
+            this.crossingCallback(c.ropeA, c.ropeB, c.segmentA, c.segmentB, c.sign, c.point);
+        }
     }
 
     /**
      * Detect crossings between two ropes
-     * Also tracks when segments separate so crossings can be re-detected
+     *
+     * Each pair of segments is swept over the step (see
+     * Segment.sweptIntersection), so a segment that moves right past
+     * another within one frame still counts, and pairs that were already
+     * crossing at the start of the step are not reported again.
+     * @returns {Object[]} { ropeA, ropeB, segmentA, segmentB, sign, point, time }
+     *          with time the fraction of the step at which they met
      */
     detectRopeCrossings(ropeA, ropeB) {
-        const segmentsA = ropeA.getSegments();
-        const segmentsB = ropeB.getSegments();
-
-        // Track current intersections to detect separation
-        if (!this.currentIntersections) {
-            this.currentIntersections = new Set();
-        }
-
         // Skip first segments near walker's hand to prevent instant tangling
         // Increased from 3 to 6 since leashes now have displaced origins
         const SKIP_SEGMENTS_FROM_START = 6;
 
-        const newIntersections = new Set();
+        const crossings = [];
+
+        for (const [segA, segB] of this.segmentGrid.pairs(ropeA, ropeB, SKIP_SEGMENTS_FROM_START)) {
+            const result = this.sweptCrossing(ropeA, ropeB, segA, segB);
+            if (!result.intersects) continue;
+
+            // Determine which rope is "on top" from the simulated heights:
+            // the higher rope is over, compared at the moment and the point
+            // along each segment where they met
+            const heightA = this.sweptHeight(ropeA, segA, result.time, result.t1);
+            const heightB = this.sweptHeight(ropeB, segB, result.time, result.t2);
+
+            crossings.push({
+                ropeA, ropeB,
+                segmentA: segA,
+                segmentB: segB,
+                sign: heightA > heightB ? 1 : -1,
+                point: result.point,
+                time: result.time
+            });
+        }
 
-        for (const segA of segmentsA) {
-            // Skip segments too close to the pinned start (walker's hand)
-            if (segA.index < SKIP_SEGMENTS_FROM_START) continue;
+        return crossings;
+    }
 
-            for (const segB of segmentsB) {
-                // Skip segments too close to the pinned start (walker's hand)
-                if (segB.index < SKIP_SEGMENTS_FROM_START) continue;
+    /**
+     * Swept intersection of segment indexA of ropeA with segment indexB of
+     * ropeB over the last step
+     */
+    sweptCrossing(ropeA, ropeB, indexA, indexB) {
+        const startA = this.sweepStart.get(ropeA);
+        const startB = this.sweepStart.get(ropeB);
+        const pA1 = ropeA.particles[indexA];
+        const pA2 = ropeA.particles[indexA + 1];
+        const pB1 = ropeB.particles[indexB];
+        const pB2 = ropeB.particles[indexB + 1];
+
+        // A rope added since the last step has no sweep yet: test where it is
+        const to = [pA1.position, pA2.position, pB1.position, pB2.position];
+        const from = [
+            startA ? startA[indexA].position : pA1.position,
+            startA ? startA[indexA + 1].position : pA2.position,
+            startB ? startB[indexB].position : pB1.position,
+            startB ? startB[indexB + 1].position : pB2.position
+        ];
+        return Segment.sweptIntersection(from, to);
+    }
 
-                const result = Segment.segmentIntersection(
-                    segA.start, segA.end,
-                    segB.start, segB.end
-                );
+    /**
+     * Height of a rope segment at a fraction of the last step and a
+     * parameter t along the segment
+     */
+    sweptHeight(rope, index, time, t) {
+        const start = this.sweepStart.get(rope);
+        const heightOf = (k) => {
+            const now = rope.particles[k].z;
+            return start ? start[k].z + (now - start[k].z) * time : now;
+        };
+        return heightOf(index) + (heightOf(index + 1) - heightOf(index)) * t;
+    }
 
-                const key = `${ropeA.id}-${ropeB.id}-${segA.index}-${segB.index}`;
-
-                if (result.intersects) {
-                    newIntersections.add(key);
-
-                    // Only callback if this is a NEW intersection
-                    if (!this.currentIntersections.has(key)) {
-                        // Determine which rope is "on top" using particle heights
-                        // Each particle has a height value from the dog's bouncing gait
-                        // Higher height = rope is on top at this crossing
-
-                        // Get the particles at this segment and interpolate height at crossing point
-                        const particleA1 = ropeA.particles[segA.index];
-                        const particleA2 = ropeA.particles[segA.index + 1];
-                        const particleB1 = ropeB.particles[segB.index];
-                        const particleB2 = ropeB.particles[segB.index + 1];
-
-                        // Interpolate height based on where on the segment the crossing occurs
-                        // result.t1 is the parameter along segment A, result.t2 along segment B
-                        const heightA = particleA1.height + (particleA2.height - particleA1.height) * (result.t1 || 0.5);
-                        const heightB = particleB1.height + (particleB2.height - particleB1.height) * (result.t2 || 0.5);
-
-                        // Higher height = on top, positive sign
-                        const sign = heightA > heightB ? 1 : -1;
-
-                        this.crossingCallback(
-                            ropeA, ropeB,
-                            segA.index, segB.index,
-                            sign,
-                            result.point
-                        );
-                    }
+    /**
+     * Bucket every segment by the box it swept over the last step, which
+     * contains both its old and new positions, so crossing and tangle
+     * detection find every pair the swept test could report
+     */
+    buildSegmentGrid() {
+        this.segmentGrid.clear();
+        for (const rope of this.ropes) {
+            const start = this.sweepStart.get(rope);
+            const particles = rope.particles;
+            for (let k = 0; k < particles.length - 1; k++) {
+                const points = [particles[k].position, particles[k + 1].position];
+                if (start) points.push(start[k].position, start[k + 1].position);
+                let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+                for (const p of points) {
+                    minX = Math.min(minX, p.x);
+                    minY = Math.min(minY, p.y);
+                    maxX = Math.max(maxX, p.x);
+                    maxY = Math.max(maxY, p.y);
                 }
+                this.segmentGrid.insert(rope, k, minX, minY, maxX, maxY);
             }
         }
+    }
 
-        // Update the current intersections set
-        // Segments that were intersecting but aren't anymore can now re-trigger
-        this.currentIntersections = newIntersections;
+    /**
+     * Remember where every particle is, for the next step's sweeps
+     */
+    recordSweepStart() {
+        for (const rope of this.ropes) {
+            this.sweepStart.set(rope, rope.particles.map(p => ({
+                position: p.position.clone(),
+                z: p.z
+            })));
+        }
     }
 
     /**
@@ -1220,12 +2140,13 @@ class PhysicsWorld {
 
 // Export
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Particle, DistanceConstraint, BendingConstraint, TangleConstraint, Rope, PhysicsWorld };
+    module.exports = { Particle, DistanceConstraint, BendingConstraint, TangleConstraint, Rope, SegmentGrid, PhysicsWorld };
 } else {
     window.Particle = Particle;
     window.DistanceConstraint = DistanceConstraint;
     window.BendingConstraint = BendingConstraint;
     window.TangleConstraint = TangleConstraint;
     window.Rope = Rope;
+    window.SegmentGrid = SegmentGrid;
     window.PhysicsWorld = PhysicsWorld;
 }
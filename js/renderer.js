@@ -1440,15 +1440,15 @@ class Renderer {
     }
 
     /**
-     * Draw connection lines between tangled rope segments
+     * Draw connection lines between the contact points on the tangled ropes
      */
     drawTangleConnection(tangle) {
         const ctx = this.ctx;
 
-        if (!tangle.particleA || !tangle.particleB) return;
-
-        const posA = this.toScreen(tangle.particleA.position);
-        const posB = this.toScreen(tangle.particleB.position);
+        // The contact slides along both leashes, between particles
+        const { a, b } = tangle.getContactPoints();
+        const posA = this.toScreen(a.position);
+        const posB = this.toScreen(b.position);
 
         // Dashed line connecting the tangled points
         ctx.strokeStyle = tangle.isLocked ? this.colors.tangleLocked : this.colors.tangleLoose;
@@ -943,7 +943,8 @@ class Renderer3D {
 
     /**
      * Create or update a leash (3D tube following rope particles)
-     * Uses particle.height for Y coordinate to show over/under crossings
+     * Particle z is the simulated height, so sag, ropes lying on the ground
+     * and ropes resting on each other are drawn as the physics has them
      */
     updateLeash(index, particles) {
         // Remove old leash mesh if exists
@@ -954,29 +955,12 @@ class Renderer3D {
 
         if (particles.length < 2) return;
 
-        // Create curve from particle positions (convert 2D to 3D)
-        // Use particle.height for the Y coordinate - this creates over/under crossings
-        const baseHeight = 10; // Base height above ground
-        const heightScale = 3; // Scale factor to make height differences more visible
-
-        const points = particles.map(p => {
-            // 2D position maps to X and Z, particle height maps to Y
-            const particleHeight = (p.height || 0) * heightScale;
-            return new THREE.Vector3(
-                p.position.x,
-                baseHeight + particleHeight,
-                -p.position.y  // 2D Y becomes negative 3D Z (forward)
-            );
-        });
-
-        // Add subtle sag in the middle of the leash (gravity effect)
-        // But preserve height differences from particle bouncing
-        for (let i = 0; i < points.length; i++) {
-            const t = i / (points.length - 1);
-            // Subtle sag in the middle, reduced at endpoints
-            const sag = Math.sin(t * Math.PI) * 3;
-            points[i].y = Math.max(3, points[i].y - sag);
-        }
+        // 2D position maps to X and Z, particle height maps to Y
+        const points = particles.map(p => new THREE.Vector3(
+            p.position.x,
+            p.z,
+            -p.position.y  // 2D Y becomes negative 3D Z (forward)
+        ));
 
         const curve = new THREE.CatmullRomCurve3(points);
 
@@ -1010,7 +994,9 @@ class Renderer3D {
 
         // Create new spheres for each tangle
         for (const tangle of tangles) {
-            const pos3D = this.to3D(tangle.crossingPoint);
+            // Midway between the contact points, at the ropes' simulated height
+            const { a, b } = tangle.getContactPoints();
+            const pos3D = this.to3D(tangle.crossingPoint, (a.z + b.z) / 2);
             pos3D.y += 5; // Raise above ropes
 
             // Size based on wrap angle
@@ -10,17 +10,32 @@ class Simulation {
             leashSegments: options.leashSegments || 15,
             walkerSpeed: options.walkerSpeed || 1.0,
             dogEnergy: options.dogEnergy || 1.5,
+            numDogs: options.numDogs || 3,
+            tangleMetric: options.tangleMetric || 'complexity', // Key of TangleMetrics
+            detailedStats: options.detailedStats !== false, // Off for long headless walks
+            detailedStatsMaxLength: options.detailedStatsMaxLength || 32, // Longer braids compute them only on request
+            wordEngine: options.wordEngine || 'garside', // 'garside' or 'dynnikov' (see BraidTracker)
             gravity: new Vec2(0, 20), // Subtle downward bias
-            solverIterations: 8
+            solverIterations: options.solverIterations || 8, // PBD passes per frame
+            solver: options.solver || 'pbd', // 'pbd' or 'xpbd' (stiffness set by compliance)
+            substeps: options.substeps || 8, // XPBD substeps per frame, one pass each
+            leashCompliance: options.leashCompliance || 0 // XPBD leash stretch per unit force (0 = inextensible)
         };
 
         // Core systems
         this.physics = new PhysicsWorld({
             gravity: this.config.gravity,
-            solverIterations: this.config.solverIterations
+            solverIterations: this.config.solverIterations,
+            solver: this.config.solver,
+            substeps: this.config.substeps
         });
 
-        this.braidTracker = new BraidTracker(['A', 'B', 'C']);
+        // Crossings are stamped on the simulation clock, like tangle events, so the
+        // event log, BraidHistory and time travel all share one timeline
+        this.braidTracker = new BraidTracker(this.getDogNames(), {
+            wordEngine: this.config.wordEngine,
+            clock: () => this.elapsedTime
+        });
         this.crossingDetector = new CrossingDetector(this.braidTracker);
 
         // Entities
@@ -135,29 +150,33 @@ class Simulation {
         this.walker = new Walker(centerX, startY);
         this.walker.setSpeedMultiplier(this.config.walkerSpeed);
 
-        // Create three dogs with different breeds
-        const dogPresets = ['goldenRetriever', 'borderCollie', 'beagle'];
-        const dogColors = ['#8B0000', '#00008B', '#006400']; // Matching leash colors
-        const angleSpread = Math.PI / 3; // 60 degrees spread
+        // Create the dogs with different breeds (presets cycle for big packs)
+        const numDogs = this.config.numDogs;
+        const dogNames = this.getDogNames();
+        const dogPresets = ['goldenRetriever', 'borderCollie', 'beagle', 'labrador', 'poodle', 'husky'];
+        const dogColors = ['#8B0000', '#00008B', '#006400', '#8B4500', '#4B0082', '#2F4F4F']; // Matching leash colors
+        const angleSpread = numDogs > 1 ? (2 * Math.PI / 3) / (numDogs - 1) : 0; // 120 degree fan overall
 
         // Hand position offsets - leashes attach at different points
         // This prevents instant tangling at origin
-        this.leashHandOffsets = [
-            new Vec2(-4, 0),   // Left leash
-            new Vec2(0, 2),    // Center leash (slightly forward - positive Y because forward is -Y)
-            new Vec2(4, 0)     // Right leash
-        ];
+        // Spread left to right, with the middle leashes slightly forward
+        // (positive Y because forward is -Y)
+        this.leashHandOffsets = [];
+        for (let i = 0; i < numDogs; i++) {
+            const lateral = (i - (numDogs - 1) / 2) * 4;
+            this.leashHandOffsets.push(new Vec2(lateral, 2 - Math.abs(lateral) / 2));
+        }
 
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < numDogs; i++) {
             // Dogs fan out AHEAD of walker (negative Y direction = forward in 3D)
-            const angle = -Math.PI / 2 + (i - 1) * angleSpread; // Fan out ahead (negative Y)
+            const angle = -Math.PI / 2 + (i - (numDogs - 1) / 2) * angleSpread; // Fan out ahead (negative Y)
             const distance = this.config.leashLength * 0.7;
 
             const dogX = centerX + Math.cos(angle) * distance;
             const dogY = startY + Math.sin(angle) * distance;
 
-            const dog = createDogFromPreset(dogX, dogY, dogPresets[i]);
-            dog.name = ['A', 'B', 'C'][i]; // Override with letter names
+            const dog = createDogFromPreset(dogX, dogY, dogPresets[i % dogPresets.length]);
+            dog.name = dogNames[i]; // Override with letter names
             this.dogs.push(dog);
 
             // Create leash connecting walker to dog
@@ -169,10 +188,13 @@ class Simulation {
                 {
                     mass: 0.05,
                     stiffness: 1.0,      // Full stiffness for leashes (no stretch)
+                    compliance: this.config.leashCompliance,
                     bendStiffness: 0.2,
                     damping: 0.03,
-                    color: dogColors[i],
-                    thickness: 3
+                    color: dogColors[i % dogColors.length],
+                    thickness: 3,
+                    startZ: this.walker.getHandHeight(),
+                    endZ: dog.getCollarHeight()
                 }
             );
 
@@ -190,6 +212,9 @@ class Simulation {
             dog.leash = leash;
         }
 
+        // Braid generators follow the leashes' left-to-right order
+        this.braidTracker.setStrandOrder(this.getLateralOrder());
+
         // Set world bounds based on canvas
         this.physics.bounds = {
             minX: centerX - 200,
@@ -201,6 +226,13 @@ class Simulation {
         return this;
     }
 
+    /**
+     * Letter names for each dog: A, B, C, ...
+     */
+    getDogNames() {
+        return Array.from({ length: this.config.numDogs }, (_, i) => String.fromCharCode(65 + i));
+    }
+
     /**
      * Handle crossing detection
      */
@@ -257,15 +289,11 @@ class Simulation {
 
             // Move leash start to walker's displaced hand position
             // Each leash attaches at a different point to prevent instant tangling
-            leash.moveStart(this.getDisplacedHandPosition(i));
-
-            // Move leash end to dog's collar
-            leash.moveEnd(dog.getCollarPosition());
+            leash.moveStart(this.getDisplacedHandPosition(i), this.walker.getHandHeight());
 
-            // Propagate dog's bounce height to leash particles
-            // The end particle gets the dog's full height, and it
-            // smoothly interpolates toward the walker (height 0)
-            this.propagateHeightToLeash(leash, dog);
+            // Move leash end to dog's collar, which bobs with the dog's trot;
+            // the physics carries that height along the leash
+            leash.moveEnd(dog.getCollarPosition(), dog.getCollarHeight());
         }
 
         // Step physics
@@ -304,25 +332,24 @@ class Simulation {
     }
 
     /**
-     * Propagate the dog's bounce height along the leash particles
-     * This creates natural over/under crossings based on dog movement
+     * Left-to-right order of the leashes as seen by the walker
+     * Each leash is projected onto the walker's lateral axis (the axis the
+     * hand offsets spread along) and ranked by its mean offset.
+     * @returns {number[]} Dog indices from left to right
      */
-    propagateHeightToLeash(leash, dog) {
-        const particles = leash.particles;
-        const numParticles = particles.length;
-
-        // Dog's height at the end, walker at height 0
-        const dogHeight = dog.height;
+    getLateralOrder() {
+        const lateralAxis = new Vec2(1, 0).rotate(this.walker.facing);
+        const handPos = this.walker.getHandPosition();
 
-        for (let i = 0; i < numParticles; i++) {
-            // t goes from 0 (walker/start) to 1 (dog/end)
-            const t = i / (numParticles - 1);
+        const offsets = this.leashes.map(leash => {
+            let sum = 0;
+            for (const particle of leash.particles) {
+                sum += particle.position.sub(handPos).dot(lateralAxis);
+            }
+            return sum / leash.particles.length;
+        });
 
-            // Height interpolates smoothly from 0 to dogHeight
-            // Using smooth step for more natural curve
-            const smoothT = t * t * (3 - 2 * t); // Smoothstep function
-            particles[i].height = smoothT * dogHeight;
-        }
+        return offsets.map((_, i) => i).sort((a, b) => offsets[a] - offsets[b]);
     }
 
     /**
@@ -352,15 +379,26 @@ class Simulation {
 
     /**
      * Get current statistics
+     * @param {Object} options - detailed: compute the detailed invariants
+     *        (Burau, conjugacy class, closure, ...) even if the braid is too
+     *        long for them to come along automatically (see wantsDetailedStats)
      */
-    getStats() {
-        const braidStats = this.braidTracker.getStats();
+    getStats(options = {}) {
+        const detailed = options.detailed || this.wantsDetailedStats(this.braidTracker);
+        return {
+            ...this.braidTracker.getStats({ detailed }),
+            tangleMetric: this.getTangleMetric(this.braidTracker, detailed),
+            ...this.getLiveStats()
+        };
+    }
 
-        // Tangle statistics
+    /**
+     * The stats read from the running simulation rather than the braid:
+     * the clock and the physical tangles
+     */
+    getLiveStats() {
         const tangleStats = this.getTangleStats();
-
         return {
-            ...braidStats,
             elapsedTime: this.elapsedTime,
             elapsedTimeFormatted: this.formatTime(this.elapsedTime),
             isPaused: this.isPaused,
@@ -373,6 +411,57 @@ class Simulation {
         };
     }
 
+    /**
+     * getStats() with the braid as it was at an earlier moment
+     *
+     * The physical readings (active tangles, Capstan friction) stay live:
+     * rope positions are not recorded, only the crossings.
+     * @param {Object|number} moment - A braid history node, or seconds on
+     *        the braid tracker's clock (see BraidTracker.nodeFor)
+     * @param {Object} options - detailed: as for getStats()
+     */
+    getStatsAt(moment, options = {}) {
+        const past = this.braidTracker.at(moment);
+        const detailed = options.detailed || this.wantsDetailedStats(past);
+        return {
+            ...past.getStats({ detailed }),
+            tangleMetric: this.getTangleMetric(past, detailed),
+            ...this.getLiveStats()
+        };
+    }
+
+    /**
+     * Should stats for a tracker include the detailed invariants unasked?
+     * They are recomputed from scratch after every crossing and take
+     * hundreds of milliseconds on long braids, so on the main thread they
+     * only come along while the braid is short, or once already computed
+     */
+    wantsDetailedStats(tracker) {
+        return this.config.detailedStats &&
+            (tracker.hasInvariants() || tracker.braidWord.length <= this.config.detailedStatsMaxLength);
+    }
+
+    /**
+     * The metric chosen for the "Tangle Metric" display, for a tracker's braid
+     *
+     * Expensive metrics are left out (value null) unless the detailed stats
+     * are wanted or the metric is already cached for this braid.
+     */
+    getTangleMetric(tracker, detailed) {
+        const name = this.config.tangleMetric;
+        const metric = TangleMetrics[name];
+        const value = !metric.expensive || detailed || tracker.hasMetric(name)
+            ? tracker.getMetric(name)
+            : null;
+        return {
+            name,
+            label: metric.label,
+            value,
+            display: value === null ? 'click to compute' : metric.format(value),
+            thresholds: metric.thresholds
+        };
+    }
+
     /**
      * Get detailed tangle statistics
      */
@@ -456,6 +545,14 @@ class Simulation {
         this.isPaused = false;
 
         // Reset trackers (clears braid words and crossing history)
+        // A changed dog count needs a tracker for the new braid group
+        if (this.braidTracker.numStrands !== this.config.numDogs) {
+            this.braidTracker = new BraidTracker(this.getDogNames(), {
+                wordEngine: this.config.wordEngine,
+                clock: () => this.elapsedTime
+            });
+            this.crossingDetector = new CrossingDetector(this.braidTracker);
+        }
         this.braidTracker.reset();
         this.crossingDetector.reset();
 
@@ -472,6 +569,15 @@ class Simulation {
         // Handle specific config changes
         if (key === 'walkerSpeed') {
             this.walker?.setSpeedMultiplier(value);
+        } else if (key === 'wordEngine') {
+            this.braidTracker.setWordEngine(value);
+        } else if (key === 'solver' || key === 'substeps' || key === 'solverIterations') {
+            this.physics[key] = value;
+        } else if (key === 'leashCompliance') {
+            for (const leash of this.leashes) {
+                leash.compliance = value;
+                for (const constraint of leash.distanceConstraints) constraint.compliance = value;
+            }
         }
     }
 
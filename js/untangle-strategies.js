@@ -0,0 +1,165 @@
+/**
+ * Untangle Strategies - Pluggable solvers for leash tangles
+ *
+ * Every strategy takes a BraidWord β and returns a move sequence u (another
+ * BraidWord) with β·u = ε. Strategies differ only in how hard they look for
+ * a short u, so they can be swapped in the tracker and compared by the
+ * benchmark in scripts/benchmark-untangle.js.
+ */
+
+(function() {
+    'use strict';
+
+    // In Node the braid classes come from the other modules; in the browser they are globals
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { Crossing, BraidWord } = isNode ? require('./braid.js') : window;
+    const { BraidSolver } = isNode ? require('./braid-solver.js') : window;
+
+    /**
+     * Base class: subclasses implement solve()
+     */
+    class UntangleStrategy {
+        constructor(name) {
+            this.name = name;
+        }
+
+        /**
+         * @param {BraidWord} braidWord - The current tangle
+         * @returns {BraidWord} Moves that take the tangle back to ε
+         */
+        solve(braidWord) {
+            throw new Error(`${this.constructor.name} must implement solve()`);
+        }
+
+        /**
+         * Check that a move sequence really untangles a braid
+         */
+        static verify(braidWord, moves) {
+            return new BraidWord(
+                [...braidWord.crossings, ...moves.crossings],
+                Math.max(braidWord.numStrands, moves.numStrands)
+            ).isTrivial;
+        }
+    }
+
+    /**
+     * Greedy writhe/length minimization
+     *
+     * Tries every generator and keeps the one that most shortens the
+     * (greedily reduced) tangle, breaking ties by |writhe|. When no move
+     * helps it falls back to nearest-neighbour: undo the most recent
+     * remaining crossing, which always makes progress.
+     */
+    class GreedyStrategy extends UntangleStrategy {
+        constructor() {
+            super('greedy');
+        }
+
+        static score(word) {
+            const reduced = word.reduce();
+            return [reduced.length, Math.abs(reduced.writhe)];
+        }
+
+        solve(braidWord) {
+            const n = braidWord.numStrands;
+            const moves = [];
+            let current = braidWord.reduce();
+
+            while (!current.isTrivial) {
+                const [length, writhe] = GreedyStrategy.score(current);
+                let best = null;
+
+                for (let generator = 1; generator < n; generator++) {
+                    for (const sign of [1, -1]) {
+                        const move = new Crossing(generator, sign, 0);
+                        const [l, w] = GreedyStrategy.score(current.clone().append(move));
+                        if (l < length || (l === length && w < writhe)) {
+                            if (!best || l < best.length || (l === best.length && w < best.writhe)) {
+                                best = { move, length: l, writhe: w };
+                            }
+                        }
+                    }
+                }
+
+                const move = best
+                    ? best.move
+                    : current.crossings[current.crossings.length - 1].inverse();
+                moves.push(new Crossing(move.generator, move.sign, 0));
+                current = current.clone().append(move).reduce();
+            }
+
+            return new BraidWord(moves, n);
+        }
+    }
+
+    /**
+     * Garside normal form inversion
+     *
+     * Inverts the canonical word of β, or writes β⁻¹ canonically, and keeps
+     * whichever is shorter after reduction. Fast and always correct, but the
+     * normal form spends extra letters on every Δ.
+     */
+    class GarsideStrategy extends UntangleStrategy {
+        constructor() {
+            super('garside');
+        }
+
+        solve(braidWord) {
+            const n = braidWord.numStrands;
+            const inverted = braidWord.toGarsideNormalForm().toBraidWord().inverse().reduce();
+            const canonical = braidWord.inverse().toGarsideNormalForm().toBraidWord().reduce();
+            const best = inverted.length <= canonical.length ? inverted : canonical;
+            return new BraidWord(best.crossings, n);
+        }
+    }
+
+    /**
+     * A* shortest-word search (see BraidSolver)
+     */
+    class AStarStrategy extends UntangleStrategy {
+        constructor(options = {}) {
+            super('astar');
+            this.solver = new BraidSolver(options);
+            this.lastResult = null;
+        }
+
+        solve(braidWord) {
+            this.lastResult = this.solver.solve(braidWord);
+            return this.lastResult.solution;
+        }
+    }
+
+    const UntangleStrategies = {
+        greedy: GreedyStrategy,
+        garside: GarsideStrategy,
+        astar: AStarStrategy
+    };
+
+    /**
+     * Create a strategy by name ('greedy', 'garside', 'astar')
+     */
+    function createStrategy(name, options = {}) {
+        const StrategyClass = UntangleStrategies[name];
+        if (!StrategyClass) {
+            throw new Error(`Unknown untangle strategy: ${name}`);
+        }
+        return new StrategyClass(options);
+    }
+
+    // Export
+    const exported = {
+        UntangleStrategy,
+        GreedyStrategy,
+        GarsideStrategy,
+        AStarStrategy,
+        UntangleStrategies,
+        createStrategy
+    };
+
+    if (isNode) {
+        module.exports = exported;
+    } else {
+        Object.assign(window, exported);
+    }
+
+})();
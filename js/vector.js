@@ -362,6 +362,90 @@ const Segment = {
         return { intersects: false };
     },
 
+    /**
+     * Continuous (swept) intersection test for two moving segments
+     *
+     * Over a step each endpoint moves in a straight line, X(τ) = X₀ + τ(X₁ - X₀)
+     * for τ from 0 to 1. Two segments can only start to cross when an
+     * endpoint of one passes over the other, at a root of the quadratic
+     * cross(X(τ) - A(τ), B(τ) - A(τ)) = 0 for an endpoint X and the other
+     * segment AB. Checking the state between consecutive roots finds the
+     * first moment they go from apart to crossing, even when one sweeps
+     * right past the other and they are apart again by the end of the step.
+     *
+     * @param {Vec2[]} from - [p1, p2, q1, q2] at the start of the step
+     * @param {Vec2[]} to - The same endpoints at the end of the step
+     * @returns {{intersects: boolean, time: number, point: Vec2, t1: number, t2: number}}
+     *          The first crossing to begin during the step (time in (0, 1]),
+     *          or { intersects: false } if none does
+     */
+    sweptIntersection(from, to) {
+        // Quick reject: the areas swept by the two segments don't overlap
+        const [p1, p2, q1, q2] = from;
+        const [p3, p4, q3, q4] = to;
+        if (Math.max(p1.x, p2.x, p3.x, p4.x) < Math.min(q1.x, q2.x, q3.x, q4.x) ||
+            Math.max(q1.x, q2.x, q3.x, q4.x) < Math.min(p1.x, p2.x, p3.x, p4.x) ||
+            Math.max(p1.y, p2.y, p3.y, p4.y) < Math.min(q1.y, q2.y, q3.y, q4.y) ||
+            Math.max(q1.y, q2.y, q3.y, q4.y) < Math.min(p1.y, p2.y, p3.y, p4.y)) {
+            return { intersects: false };
+        }
+
+        const at = (time) => from.map((p, k) => p.lerp(to[k], time));
+        const crossesAt = (time) => {
+            const [p1, p2, q1, q2] = at(time);
+            return this.segmentIntersection(p1, p2, q1, q2).intersects;
+        };
+
+        // Moments when an endpoint is on the line through the other segment
+        const times = [];
+        for (const [x, a, b] of [[0, 2, 3], [1, 2, 3], [2, 0, 1], [3, 0, 1]]) {
+            const u0 = from[x].sub(from[a]);
+            const du = to[x].sub(to[a]).sub(u0);
+            const v0 = from[b].sub(from[a]);
+            const dv = to[b].sub(to[a]).sub(v0);
+            const roots = this.quadraticRoots(du.cross(dv), u0.cross(dv) + du.cross(v0), u0.cross(v0));
+            times.push(...roots.filter(t => t > 0 && t <= 1));
+        }
+        times.sort((a, b) => a - b);
+
+        let crossing = crossesAt(0);
+        for (let k = 0; k < times.length; k++) {
+            const next = k + 1 < times.length ? times[k + 1] : 1;
+            const crossingAfter = crossesAt((times[k] + next) / 2);
+            if (crossingAfter && !crossing) {
+                // The segments touch at this moment
+                const [p1, p2, q1, q2] = at(times[k]);
+                const contact = this.segmentToSegmentDistance(p1, p2, q1, q2);
+                return {
+                    intersects: true,
+                    time: times[k],
+                    point: contact.pointOnSeg1,
+                    t1: contact.t1,
+                    t2: contact.t2
+                };
+            }
+            crossing = crossingAfter;
+        }
+        return { intersects: false };
+    },
+
+    /**
+     * Real roots of a·x² + b·x + c (a and b may vanish)
+     */
+    quadraticRoots(a, b, c) {
+        const scale = Math.max(Math.abs(a), Math.abs(b), Math.abs(c));
+        if (scale === 0) return [];
+        if (Math.abs(a) < 1e-9 * scale) {
+            return Math.abs(b) < 1e-9 * scale ? [] : [-c / b];
+        }
+
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return [];
+        // Numerically stable form (no cancellation between b and the root)
+        const q = -0.5 * (b + (b < 0 ? -1 : 1) * Math.sqrt(discriminant));
+        return q === 0 ? [0] : [q / a, c / q];
+    },
+
     /**
      * Determine crossing orientation (which segment goes "over")
      * Returns 1 if seg1 goes over seg2 at intersection, -1 otherwise
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Untangle Strategy Benchmark
+ *
+ * Runs every strategy in js/untangle-strategies.js on a corpus of random
+ * braids and reports solution length, optimality gap and runtime.
+ *
+ * Usage:
+ *   node scripts/benchmark-untangle.js [--count 200] [--length 12] [--strands 3] [--seed 1]
+ *
+ * The gap is measured against the A* solution on braids where the search
+ * finished within its node budget.
+ */
+
+'use strict';
+
+const path = require('path');
+const { RandomBraidGenerator } = require(path.join(__dirname, '../js/braid-random.js'));
+const {
+    UntangleStrategy,
+    UntangleStrategies,
+    createStrategy
+} = require(path.join(__dirname, '../js/untangle-strategies.js'));
+
+/**
+ * Parse --key value pairs into numbers
+ */
+function parseArgs(argv) {
+    const options = { count: 200, length: 12, strands: 3, seed: 1 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in options)) {
+            console.error(`Unknown option: ${argv[i]}`);
+            process.exit(1);
+        }
+        options[key] = Number(argv[i + 1]);
+    }
+    return options;
+}
+
+function formatRow(cells, widths) {
+    return cells.map((cell, i) => String(cell).padStart(widths[i])).join('  ');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const generator = new RandomBraidGenerator(options.strands, { seed: options.seed });
+    const corpus = [];
+    for (let i = 0; i < options.count; i++) {
+        corpus.push(generator.uniform(options.length));
+    }
+
+    console.log(`Corpus: ${options.count} random braids in B${options.strands}, ` +
+        `length ${options.length}, seed ${options.seed}\n`);
+
+    // A* first: its optimal lengths are the reference for every gap
+    const names = ['astar', ...Object.keys(UntangleStrategies).filter(n => n !== 'astar')];
+    const optimal = new Array(corpus.length).fill(null);
+    const rows = [];
+
+    for (const name of names) {
+        const strategy = createStrategy(name);
+        let totalLength = 0;
+        let totalGap = 0;
+        let gapSamples = 0;
+        let optimalHits = 0;
+        let failures = 0;
+        let maxMs = 0;
+        const start = process.hrtime.bigint();
+
+        corpus.forEach((braid, i) => {
+            const t0 = process.hrtime.bigint();
+            const moves = strategy.solve(braid);
+            const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+            maxMs = Math.max(maxMs, ms);
+
+            if (!UntangleStrategy.verify(braid, moves)) failures++;
+            totalLength += moves.length;
+
+            if (name === 'astar' && strategy.lastResult.optimal) {
+                optimal[i] = moves.length;
+            }
+            if (optimal[i] !== null) {
+                totalGap += moves.length - optimal[i];
+                gapSamples++;
+                if (moves.length === optimal[i]) optimalHits++;
+            }
+        });
+
+        const totalMs = Number(process.hrtime.bigint() - start) / 1e6;
+        rows.push([
+            name,
+            (totalLength / corpus.length).toFixed(2),
+            gapSamples ? (totalGap / gapSamples).toFixed(2) : 'n/a',
+            gapSamples ? (100 * optimalHits / gapSamples).toFixed(1) + '%' : 'n/a',
+            (totalMs / corpus.length).toFixed(2),
+            maxMs.toFixed(2),
+            failures
+        ]);
+    }
+
+    const header = ['strategy', 'avg len', 'avg gap', 'optimal', 'avg ms', 'max ms', 'failed'];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+    console.log(formatRow(header, widths));
+    console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    for (const row of rows) {
+        console.log(formatRow(row, widths));
+    }
+}
+
+main();
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Famous Knots Check
+ *
+ * Closes up the braid of every entry in js/famous-knots.js and compares the
+ * closure's determinant and Jones polynomial with the published values
+ * stored next to it (either mirror image passes), then checks that
+ * BraidClosure identifies the closure as the entry's tableId and that
+ * BraidClosure.equivalent() finds it the same as the table's braid. A few
+ * braids of table knots that Markov reduction leaves on extra strands check
+ * that equivalent() gets there by its search of moves.
+ *
+ * Usage:
+ *   node scripts/test-famous-knots.js
+ *
+ * Exits non-zero when any entry fails.
+ */
+
+'use strict';
+
+const path = require('path');
+const { BraidWord, LaurentPolynomial } = require(path.join(__dirname, '../js/braid.js'));
+const { BraidClosure } = require(path.join(__dirname, '../js/braid-closure.js'));
+const { FAMOUS_KNOTS } = require(path.join(__dirname, '../js/famous-knots.js'));
+
+/**
+ * Published V(t) as a polynomial in t^(1/2), the variable of
+ * BraidWord.jonesPolynomial(), together with its mirror image V(t⁻¹)
+ */
+function publishedJones({ low, coeffs }) {
+    const spread = [];
+    coeffs.forEach((c, k) => {
+        if (k > 0) spread.push(0n);
+        spread.push(BigInt(c));
+    });
+    const mirror = [...spread].reverse();
+    return [
+        new LaurentPolynomial(spread, 2 * low),
+        new LaurentPolynomial(mirror, -2 * (low + coeffs.length - 1))
+    ];
+}
+
+function checkKnot(key, knot) {
+    const braid = BraidWord.parse(knot.notation, knot.numStrands);
+    const invariants = BraidClosure.invariants(braid);
+    const problems = [];
+
+    if (invariants.components !== 1) {
+        problems.push(`closes up to ${invariants.components} components`);
+    }
+    if (invariants.determinant !== knot.determinant) {
+        problems.push(`determinant ${invariants.determinant}, published ${knot.determinant}`);
+    }
+    if (!publishedJones(knot.jones).some(v => v.equals(invariants.jones))) {
+        problems.push(`Jones ${invariants.jones.toString('t', 2)} is neither published mirror image`);
+    }
+
+    const closure = BraidClosure.identify(braid);
+    const id = closure && closure.parts.length === 1 ? closure.parts[0].id : null;
+    if (id !== knot.tableId) {
+        problems.push(`identified as ${closure ? closure.name : 'nothing'}, expected ${knot.tableId}`);
+    }
+
+    const equivalence = BraidClosure.equivalent(braid, BraidClosure.tableBraid(knot.tableId));
+    if (equivalence.equivalent !== true) {
+        problems.push(`not shown equivalent to the ${knot.tableId} table braid (${equivalence.method})`);
+    }
+
+    return report(`${key} (${knot.notation})`, problems);
+}
+
+/**
+ * Braids of table knots that Markov reduction leaves on more strands than
+ * the table's braid, so equivalent() can only match them by searching moves
+ */
+const DISGUISED_KNOTS = [
+    { notation: 'σ₂²σ₁σ₂', numStrands: 3, tableId: '3_1' },  // σ₂σ₁σ₂ = σ₁σ₂σ₁ frees σ₂ to destabilize
+    { notation: 'σ₂σ₁³σ₂σ₁', numStrands: 3, tableId: '5_1' }
+];
+
+function checkDisguised({ notation, numStrands, tableId }) {
+    const braid = BraidWord.parse(notation, numStrands);
+    const table = BraidClosure.tableBraid(tableId);
+    const problems = [];
+
+    if (BraidClosure.markovReduce(braid).numStrands === BraidClosure.markovReduce(table).numStrands) {
+        problems.push('Markov reduction alone already reaches the table braid\'s strand count');
+    }
+    const equivalence = BraidClosure.equivalent(braid, table);
+    if (equivalence.equivalent !== true || equivalence.method !== 'moves') {
+        problems.push(`equivalent() gave ${equivalence.equivalent} by ${equivalence.method}, expected true by moves`);
+    }
+
+    return report(`${notation} as ${tableId}`, problems);
+}
+
+function report(name, problems) {
+    console.log(`${problems.length === 0 ? 'ok  ' : 'FAIL'} ${name}`);
+    problems.forEach(problem => console.log(`     ${problem}`));
+    return problems.length === 0;
+}
+
+const results = [
+    ...Object.entries(FAMOUS_KNOTS).map(([key, knot]) => checkKnot(key, knot)),
+    ...DISGUISED_KNOTS.map(checkDisguised)
+];
+if (results.includes(false)) process.exit(1);
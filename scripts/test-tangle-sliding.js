@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Tangle Sliding Check
+ *
+ * Hooks one leash over another that is held taut, then pulls the first
+ * leash's hand end away so the leash is drawn through the tangle. The
+ * tension behind the contact outgrows the slack side, so the contact must
+ * slide along the pulled leash (its parameter s advances) instead of being
+ * dragged along with the material it first caught. A second run with the
+ * same pull on a locked tangle checks that s stays put, and the slid
+ * contact must still absorb a crossing found just beside it rather than
+ * that crossing becoming a second tangle.
+ *
+ * Usage:
+ *   node scripts/test-tangle-sliding.js
+ *
+ * Exits non-zero when any check fails.
+ */
+
+'use strict';
+
+const path = require('path');
+
+// physics.js expects the vector classes as globals, as in the browser
+Object.assign(global, require(path.join(__dirname, '../js/vector.js')));
+const { TangleConstraint, Rope, PhysicsWorld } = require(path.join(__dirname, '../js/physics.js'));
+
+/**
+ * Pull leash A through a tangle with leash B for a second
+ * @returns {{world: PhysicsWorld, tangle: TangleConstraint, start: number}}
+ *          start is the contact parameter s on A before the pull
+ */
+function pullThrough(locked) {
+    // Off the ground and without gravity, so only the pull and the tangle act
+    const world = new PhysicsWorld({ gravity: new Vec2(0, 0), gravityZ: 0 });
+
+    // A runs left to right, pinned at both ends with 20 of slack; B crosses
+    // it at x = 55, pinned at both ends with a little slack
+    const leashA = new Rope(new Vec2(0, 0), new Vec2(100, 0), 10, { startZ: 5, endZ: 5 });
+    leashA.pinStart();
+    leashA.pinEnd();
+    leashA.moveEnd(new Vec2(80, 0), 5);
+    const leashB = new Rope(new Vec2(55, -50), new Vec2(55, 50), 10, { startZ: 5, endZ: 5 });
+    leashB.pinStart();
+    leashB.pinEnd();
+    leashB.moveStart(new Vec2(55, -49), 5);
+    leashB.moveEnd(new Vec2(55, 49), 5);
+    world.addRope(leashA);
+    world.addRope(leashB);
+
+    const tangle = new TangleConstraint(leashA, leashB, 5.5, 5, new Vec2(55, 0), {
+        initialWrapAngle: Math.PI / 4
+    });
+    tangle.isLocked = locked;
+    world.tangleConstraints.push(tangle);
+
+    // The hand end moves half a unit per frame
+    const start = tangle.s;
+    for (let i = 0; i < 60; i++) {
+        leashA.moveStart(new Vec2(-i / 2, 0), 5);
+        world.step(1 / 60);
+    }
+    return { world, tangle, start };
+}
+
+const sliding = pullThrough(false);
+const locked = pullThrough(true);
+const { world, tangle } = sliding;
+
+const results = [
+    {
+        name: 'loose tangle slides away from the pulled end',
+        pass: world.tangleConstraints.includes(tangle) && tangle.s > sliding.start + 0.5,
+        detail: `s ${sliding.start.toFixed(2)} -> ${tangle.s.toFixed(2)}`
+    },
+    {
+        name: 'locked tangle holds',
+        pass: locked.tangle.s === locked.start,
+        detail: `s ${locked.start.toFixed(2)} -> ${locked.tangle.s.toFixed(2)}`
+    },
+    {
+        name: 'a crossing beside the slid contact is the same tangle',
+        pass: world.hasContactNear(tangle.ropeA, tangle.s + 0.5, tangle.ropeB, tangle.t - 0.5) &&
+            !world.hasContactNear(tangle.ropeA, 0.5, tangle.ropeB, tangle.t),
+        detail: `contact at s ${tangle.s.toFixed(2)}, t ${tangle.t.toFixed(2)}`
+    }
+];
+
+for (const { name, pass, detail } of results) {
+    console.log(`${pass ? 'ok  ' : 'FAIL'} ${name} (${detail})`);
+}
+if (results.some(result => !result.pass)) process.exit(1);